@@ -1,3 +1,14 @@
 const deployer = require('./lib/deployer'); // 假设部署逻辑在 deployer.js 文件中
 
 hexo.extend.deployer.register('tencent-cos', deployer);
+
+hexo.extend.console.register('tencent', '腾讯云 COS 部署工具：查看发布记录、回滚', {
+  usage: '<releases|rollback> [release-id]',
+  arguments: [
+    { name: 'releases', desc: '列出发布记录' },
+    { name: 'rollback', desc: '回滚到指定发布，默认为上一个发布' }
+  ],
+  options: [
+    { name: '--dry-run', desc: '仅打印回滚计划，不修改 COS 或缓存' }
+  ]
+}, require('./lib/console'));
@@ -0,0 +1,18 @@
+const deployer = require('./deployer');
+
+/**
+ * hexo tencent 命令入口
+ * @param {Object} args - 命令行参数，args._ 为子命令及其参数
+ */
+module.exports = async function (args = {}) {
+  const [command, releaseId] = args._ || [];
+
+  switch (command) {
+    case 'releases':
+      return deployer.releases.call(this, args);
+    case 'rollback':
+      return deployer.rollback.call(this, { ...args, release: releaseId && String(releaseId) });
+    default:
+      return deployer.usage.call(this);
+  }
+};
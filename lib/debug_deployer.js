@@ -170,7 +170,7 @@ async function run() {
   listLocalFiles().forEach(f => console.log(`  ${f}`));
 
   try {
-    await deployer.call(hexo);
+    await deployer.call(hexo, hexo.config.deploy);
   } catch (error) {
     console.error('[阶段 1] 部署异常:', error);
   }
@@ -184,7 +184,7 @@ async function run() {
   listLocalFiles().forEach(f => console.log(`  ${f}`));
 
   try {
-    await deployer.call(hexo);
+    await deployer.call(hexo, hexo.config.deploy);
   } catch (error) {
     console.error('[阶段 2] 部署异常:', error);
   }
@@ -208,7 +208,7 @@ async function run() {
   listLocalFiles().forEach(f => console.log(`  ${f}`));
 
   try {
-    await deployer.call(hexo);
+    await deployer.call(hexo, hexo.config.deploy);
   } catch (error) {
     console.error('[阶段 3] 部署异常:', error);
   }
@@ -233,7 +233,7 @@ async function run() {
   listLocalFiles().forEach(f => console.log(`  ${f}`));
 
   try {
-    await deployer.call(hexo);
+    await deployer.call(hexo, hexo.config.deploy);
   } catch (error) {
     console.error('[阶段 4] 部署异常:', error);
   }
@@ -253,7 +253,7 @@ async function run() {
   listLocalFiles().forEach(f => console.log(`  ${f}`));
 
   try {
-    await deployer.call(hexo);
+    await deployer.call(hexo, hexo.config.deploy);
   } catch (error) {
     console.error('[阶段 5] 部署异常:', error);
   }
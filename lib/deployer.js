@@ -3,7 +3,14 @@ const { CommonClient } = require('tencentcloud-sdk-nodejs-common');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
+const os = require('os');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { minimatch } = require('minimatch');
+const psl = require('psl');
+const mime = require('mime-types');
+const messages = require('./messages');
 
 let _pLimit;
 const getPLimit = async () => {
@@ -13,31 +20,244 @@ const getPLimit = async () => {
 
 const RETRY_OPTIONS = { retries: 3, factor: 2, minTimeout: 1000 };
 const CDN_PURGE_BATCH_SIZE = 1000;
+const CDN_PATH_PURGE_BATCH_SIZE = 20;
+const PREFETCH_BATCH_SIZE = 20;
+const PURGE_TASKS_PAGE_SIZE = 1000;
+const EDGEONE_ZONES_PAGE_SIZE = 100;
+const EDGEONE_DOMAINS_PAGE_SIZE = 200;
+const DEFAULT_WAIT_FOR_PURGE = { timeout: 300, interval: 5 };
+// 刷新任务状态归一为 done / failed / processing
+const CDN_TASK_STATUSES = { done: 'done', fail: 'failed', process: 'processing' };
+const EDGEONE_TASK_STATUSES = { success: 'done', failed: 'failed', timeout: 'failed', canceled: 'failed', processing: 'processing' };
+const PURGE_STRATEGIES = ['url', 'path', 'auto'];
+const DEFAULT_PURGE_PATH_THRESHOLD = 50;
 const COS_DELETE_BATCH_SIZE = 1000;
 const EDGEONE_PURGE_BATCH_SIZE = 500;
 const MIN_CONCURRENCY = 1;
 const MAX_CONCURRENCY = 50;
+// COS 单连接限速 x-cos-traffic-limit 的取值范围（单位 MB/s，请求头以 bit/s 发送）
+const MIN_TRAFFIC_LIMIT = 0.1;
+const MAX_TRAFFIC_LIMIT = 100;
+// 受 rate_limit.cos 限制的 COS 元数据请求，文件内容上传只受 concurrency 与 traffic_limit 约束
+const COS_METADATA_METHODS = ['getBucket', 'headObject', 'getObjectAcl', 'putObjectCopy', 'deleteMultipleObject', 'getBucketWebsite', 'putBucketWebsite', 'getBucketVersioning', 'listObjectVersions'];
+const MANIFEST_MODES = ['local', 'remote', 'both'];
+const COMPARE_MODES = ['auto', 'list', 'head'];
+const LIST_COMPARE_THRESHOLD = 100;
+const MB = 1024 * 1024;
+const DEFAULT_MULTIPART_THRESHOLD = 20;
+const DEFAULT_MULTIPART_CHUNK_SIZE = 8;
+const MD5_META_HEADER = 'x-cos-meta-md5';
+const HEADERS_META_HEADER = 'x-cos-meta-headers-md5';
+const REDIRECT_HEADER = 'x-cos-website-redirect-location';
+// 可直接访问的存储类型（归档类型需要先恢复，不适合托管站点文件）
+const STORAGE_CLASSES = ['STANDARD', 'STANDARD_IA', 'INTELLIGENT_TIERING', 'MAZ_STANDARD', 'MAZ_STANDARD_IA', 'MAZ_INTELLIGENT_TIERING'];
+const OBJECT_ACLS = ['default', 'private', 'public-read'];
+// grants 配置项 → 请求头 → getObjectAcl 返回字段
+const ACL_GRANTS = {
+  read: ['x-cos-grant-read', 'GrantRead'],
+  read_acp: ['x-cos-grant-read-acp', 'GrantReadAcp'],
+  write_acp: ['x-cos-grant-write-acp', 'GrantWriteAcp'],
+  full_control: ['x-cos-grant-full-control', 'GrantFullControl']
+};
+const DEFAULT_REDIRECTS_FILE = '_redirects';
+const REDIRECT_LOCATION_PATTERN = /^(\/|https?:\/\/)/;
+// _redirects 中的状态码（可带强制标记 !）与通配符 / 占位符
+const REDIRECT_STATUS_PATTERN = /^30[12378]!?$/;
+const REDIRECT_PLACEHOLDER_PATTERN = /\*|(^|\/):\w/;
+// 重定向对象为空文件
+const EMPTY_MD5 = crypto.createHash('md5').update('').digest('hex');
+const DEFAULT_UPLOAD_PHASES = [['**/*.html', '**/*.htm', '**/*.xml', '**/*.rss', '**/*.atom']];
+const DOTFILES_POLICIES = ['allow', 'ignore'];
+const SYMLINKS_POLICIES = ['follow', 'ignore'];
+const COMPRESS_ALGORITHMS = ['gzip', 'br'];
+const DEFAULT_COMPRESS_EXTENSIONS = ['.html', '.css', '.js', '.svg', '.json', '.xml'];
+const DEFAULT_COMPRESS_MIN_SIZE = 1024;
+const TEXT_MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json'
+};
+const compressors = {
+  gzip: promisify(zlib.gzip),
+  br: promisify(zlib.brotliCompress)
+};
+const RESERVED_PREFIX = '.deploy_tencent/';
+const MANIFEST_KEY = `${RESERVED_PREFIX}manifest.json`;
+const RELEASES_DIR = `${RESERVED_PREFIX}releases/`;
+const ARCHIVE_DIR = `${RESERVED_PREFIX}archive/`;
+const RELEASE_SOURCES = ['versions', 'archive'];
+const WEBSITE_PROTOCOLS = ['http', 'https'];
+const DEFAULT_INDEX_DOCUMENT = 'index.html';
+// website 配置管理的字段，其它字段（如 AutoAddressing）保留存储桶中的现有设置
+const MANAGED_WEBSITE_FIELDS = ['IndexDocument', 'RedirectAllRequestsTo', 'ErrorDocument', 'RoutingRules'];
+const DEFAULT_RELEASE_KEEP = 10;
+const REPORT_SUMMARY_FORMATS = { junit: '.xml', markdown: '.md' };
+const FAIL_ON_STAGES = ['upload', 'delete', 'purge'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const PROGRESS_RENDER_INTERVAL = 100;
+const PROGRESS_LOG_INTERVAL = 10000;
+const PROGRESS_BAR_WIDTH = 20;
+const LANGUAGES = Object.keys(messages);
+const ENV_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const DEFAULT_CREDENTIALS_FILE = '~/.tencentcloud/credentials';
+const DEFAULT_ROLE_SESSION_NAME = 'hexo-deployer-tencent';
+const DEFAULT_ROLE_DURATION = 3600;
+// 临时凭证剩余有效期不足该值时提前刷新
+const CREDENTIAL_REFRESH_MARGIN = 5 * 60 * 1000;
+// 日志前缀对应的部署步骤，用于按 fail_on 归类错误
+const SCOPE_STAGES = { upload: 'upload', delete: 'delete', cdn: 'purge', edgeone: 'purge' };
+
+// 不在 Hexo 中运行（如单独调用或测试）时的日志输出
+const consoleLogger = {
+  error: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args),
+  info: (...args) => console.info(...args)
+};
+
+/**
+ * 从消息目录中读取消息并替换占位符
+ * @param {Object} config - 配置对象（也可以是未校验的原始配置），读取 language
+ * @param {string} id - 消息 ID
+ * @param {Object} [params] - 占位符参数
+ * @returns {string}
+ */
+const t = (config, id, params = {}) => {
+  const template = (messages[config.language] || messages.zh)[id] ?? messages.zh[id] ?? id;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
 
 /**
- * 日志辅助函数
+ * 生成日志前缀，多目标部署时附带目标名
  * @param {Object} config - 配置对象
- * @param {string} prefix - 日志前缀
- * @param {string} message - 日志消息
+ * @param {string} scope - 日志前缀 ID
+ * @returns {string}
  */
-const log = (config, prefix, message) => {
-  if (config.enableLog) {
-    console.info(`[${prefix}] [${new Date().toISOString()}] ${message}`);
-  }
+const formatScope = (config, scope) => `[${t(config, `scope.${scope}`)}]${config.target ? ` [${config.target}]` : ''}`;
+
+/**
+ * 日志辅助函数：按 log_level 过滤后输出到 hexo.log
+ * @param {Object} config - 配置对象，含 logger / logLevel / language
+ * @param {string} level - 日志级别：error / warn / info / debug
+ * @param {string} scope - 日志前缀 ID
+ * @param {string} id - 消息 ID
+ * @param {Object} [params] - 占位符参数
+ * @param {Error} [error] - 附加的错误对象
+ */
+const log = (config, level, scope, id, params, error) => {
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(config.logLevel)) return;
+  activeProgress?.clear();
+  const message = `${formatScope(config, scope)} ${t(config, id, params)}`;
+  // hexo.log 只在 --debug 时输出 debug 级别，是否输出已由 log_level 决定，故 debug 日志以 info 输出
+  const method = level === 'debug' ? 'info' : level;
+  if (error) config.logger[method](message, error);
+  else config.logger[method](message);
 };
 
 /**
  * 错误日志
- * @param {string} prefix - 日志前缀
- * @param {string} message - 日志消息
- * @param  {...any} args - 附加参数
+ * @param {Object} config - 配置对象
+ * @param {string} scope - 日志前缀 ID
+ * @param {string} id - 消息 ID
+ * @param {Object} [params] - 占位符参数
+ * @param {Error} [error] - 附加的错误对象
+ */
+const errorLog = (config, scope, id, params, error) => log(config, 'error', scope, id, params, error);
+
+// 当前绘制在终端中的进度条，输出日志前需先清除
+let activeProgress = null;
+
+/**
+ * 格式化字节数
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+};
+
+/**
+ * 格式化剩余时间
+ * @param {number} ms - 毫秒数
+ * @returns {string}
+ */
+const formatDuration = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+};
+
+/**
+ * 创建进度显示：终端中绘制单行进度条，非终端（CI 日志）中定期输出进度摘要
+ * 关闭 progress、日志级别低于 info 或为 debug（逐文件日志会打断进度条）时，终端中同样改为定期摘要或不输出
+ * @param {Object} config - 配置对象
+ * @param {string} scope - 日志前缀 ID
+ * @param {number} total - 总数
+ * @param {number} [totalBytes] - 总字节数，为 0 时不显示传输量
+ * @returns {{ tick: Function, done: Function }} tick(count, bytes) 记录完成的数量与字节数，done() 结束进度显示
  */
-const errorLog = (prefix, message, ...args) => {
-  console.error(`[${prefix}] [${new Date().toISOString()}] ${message}`, ...args);
+const createProgress = (config, scope, total, totalBytes = 0) => {
+  const noop = { tick: () => {}, done: () => {} };
+  if (!config.progress || !total || LOG_LEVELS.indexOf(config.logLevel) < LOG_LEVELS.indexOf('info')) return noop;
+
+  const stream = process.stderr;
+  const interactive = Boolean(stream.isTTY) && config.logLevel !== 'debug';
+  const start = Date.now();
+  let processed = 0;
+  let transferred = 0;
+  let lastOutput = start;
+
+  const describe = () => {
+    const elapsed = Math.max(Date.now() - start, 1);
+    const ratio = totalBytes ? transferred / totalBytes : processed / total;
+    const parts = [`${processed}/${total}`];
+    if (totalBytes) {
+      parts.push(`${formatBytes(transferred)}/${formatBytes(totalBytes)}`, `${formatBytes(transferred / elapsed * 1000)}/s`);
+    }
+    if (ratio > 0 && ratio < 1) parts.push(t(config, 'progress.eta', { time: formatDuration(elapsed * (1 - ratio) / ratio) }));
+    return { ratio, text: parts.join(' · ') };
+  };
+
+  const render = () => {
+    const { ratio, text } = describe();
+    const filled = Math.round(Math.min(ratio, 1) * PROGRESS_BAR_WIDTH);
+    const bar = `${'█'.repeat(filled)}${'░'.repeat(PROGRESS_BAR_WIDTH - filled)}`;
+    stream.write(`\r${formatScope(config, scope)} ${bar} ${Math.floor(ratio * 100)}% ${text}\x1b[K`);
+  };
+
+  const progress = {
+    tick: (count = 1, bytes = 0) => {
+      processed += count;
+      transferred += bytes;
+      const now = Date.now();
+      if (interactive) {
+        activeProgress = progress;
+        if (now - lastOutput >= PROGRESS_RENDER_INTERVAL || processed >= total) {
+          lastOutput = now;
+          render();
+        }
+      } else if (now - lastOutput >= PROGRESS_LOG_INTERVAL && processed < total) {
+        lastOutput = now;
+        log(config, 'info', scope, 'progress.summary', { progress: describe().text });
+      }
+    },
+    done: () => {
+      if (activeProgress !== progress) return;
+      render();
+      stream.write('\n');
+      activeProgress = null;
+    },
+    clear: () => stream.write('\r\x1b[K')
+  };
+  return progress;
 };
 
 /**
@@ -63,99 +283,772 @@ const withRetry = async (fn, opts = RETRY_OPTIONS) => {
   throw lastError;
 };
 
+/**
+ * 按 Offset / Limit 分页调用腾讯云 API，读取全部记录
+ * @param {CommonClient} client - API 客户端
+ * @param {string} action - 接口名称
+ * @param {Object} params - 请求参数（不含分页参数）
+ * @param {string} field - 响应中记录数组的字段名
+ * @param {number} limit - 每页数量
+ * @returns {Promise<Object[]>}
+ */
+const requestAllPages = async (client, action, params, field, limit) => {
+  const items = [];
+  for (let offset = 0; ; offset += limit) {
+    const response = await client.request(action, { ...params, Offset: offset, Limit: limit });
+    const page = response?.[field] || [];
+    items.push(...page);
+    if (page.length < limit || items.length >= (response?.TotalCount ?? 0)) return items;
+  }
+};
+
+/**
+ * 标准化 glob 规则：去除开头的 /，与 COS Key 格式保持一致
+ * @param {string} pattern - glob 规则
+ * @returns {string}
+ */
+const normalizePattern = (pattern) => pattern.replace(/^\/+/, '');
+
+/**
+ * 标准化目录过滤规则（ignore_paths 等）为不含首尾 "/" 的相对路径，忽略空值
+ * @param {string[]} [paths] - 目录数组
+ * @returns {string[]}
+ */
+const normalizePathFilters = (paths = []) => paths.filter(p => p).map(segment => {
+  let normalized = segment.startsWith('/') ? segment.slice(1) : segment;
+  return normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
+});
+
+/**
+ * 标准化目录路径为 "/a/b/" 形式，空目录返回 "/"
+ * @param {string} dir - 目录路径
+ * @returns {string}
+ */
+const normalizeDir = (dir) => {
+  const trimmed = String(dir).split('/').filter(Boolean).join('/');
+  return trimmed ? `/${trimmed}/` : '/';
+};
+
+/**
+ * 将站点内的相对 Key 转为 COS 中的完整 Key（加上 remote_dir 前缀）
+ * @param {Object} config - 配置对象
+ * @param {string} key - 相对 upload_dir 的文件 Key
+ * @returns {string}
+ */
+const toCosKey = (config, key) => `${config.remotePrefix}${key}`;
+
+/**
+ * 生成服务端复制的 CopySource（逐段编码，避免 Key 中的 # ? 等字符被当作 URL 分隔符）
+ * @param {Object} config - 配置对象
+ * @param {string} key - 相对 upload_dir 的文件 Key
+ * @returns {string}
+ */
+const toCopySource = (config, key) => `${config.bucket}.cos.${config.region}.myqcloud.com/${toCosKey(config, key).split('/').map(encodeURIComponent).join('/')}`;
+
+/**
+ * 判断文件 Key 是否匹配任一 glob 规则
+ * @param {string} key - 文件 Key
+ * @param {string[]} patterns - glob 规则数组
+ * @returns {boolean}
+ */
+const matchAny = (key, patterns) => patterns.some(pattern => minimatch(key, pattern, { dot: true }));
+
+/**
+ * 获取 tencent-cos 部署配置，兼容 deploy 为数组的情况
+ * 仅供 hexo tencent 命令使用：部署时 Hexo 会把各部署项的配置作为参数传给部署器
+ * @param {Object} hexo - Hexo 实例
+ * @returns {Object|undefined}
+ */
+const getDeployConfig = (hexo) => {
+  const deploy = hexo.config.deploy;
+  return Array.isArray(deploy) ? deploy.find(item => item?.type === 'tencent-cos') : deploy;
+};
+
+/**
+ * 替换配置中字符串值里的 ${ENV_VAR} 引用，未设置的变量替换为空并记录到 missing
+ * @param {any} value - 配置值
+ * @param {Set<string>} missing - 未设置的环境变量名
+ * @returns {any} 替换后的副本
+ */
+const interpolateEnv = (value, missing) => {
+  if (typeof value === 'string') {
+    return value.replace(ENV_PATTERN, (match, name) => {
+      if (process.env[name] === undefined) missing.add(name);
+      return process.env[name] ?? '';
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => interpolateEnv(item, missing));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, missing)]));
+  }
+  return value;
+};
+
+/**
+ * 解析 INI 格式的凭证文件（与腾讯云 SDK 的 ~/.tencentcloud/credentials 相同）
+ * @param {string} content - 文件内容
+ * @returns {Object} 配置档名 → 键值对
+ */
+const parseCredentialsFile = (content) => {
+  const profiles = {};
+  let current = null;
+  content.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) return;
+    const section = trimmed.match(/^\[(.+)\]$/);
+    if (section) {
+      current = profiles[section[1].trim()] = {};
+    } else if (current && trimmed.includes('=')) {
+      const index = trimmed.indexOf('=');
+      current[trimmed.slice(0, index).trim()] = trimmed.slice(index + 1).trim();
+    }
+  });
+  return profiles;
+};
+
+/**
+ * 按顺序查找长期凭证：deploy 配置 → credentials.profile / file 指定的凭证文件 → 环境变量 → 默认凭证文件的配置档
+ * @param {Object} config - deploy 配置（已替换环境变量）
+ * @returns {Object} { secretId, secretKey, sessionToken, source }，未找到时 source 为 null 并附带 file / profile
+ */
+const resolveCredentials = (config) => {
+  const options = config.credentials || {};
+  if (config.secret_id || config.secret_key) {
+    return { secretId: config.secret_id, secretKey: config.secret_key, sessionToken: config.session_token || null, source: 'config' };
+  }
+
+  const env = process.env;
+  const explicit = options.profile !== undefined || options.file !== undefined;
+  if (!explicit && env.TENCENTCLOUD_SECRET_ID && env.TENCENTCLOUD_SECRET_KEY) {
+    return { secretId: env.TENCENTCLOUD_SECRET_ID, secretKey: env.TENCENTCLOUD_SECRET_KEY, sessionToken: env.TENCENTCLOUD_SESSION_TOKEN || null, source: 'env' };
+  }
+
+  const file = String(options.file || DEFAULT_CREDENTIALS_FILE).replace(/^~(?=$|[\\/])/, os.homedir());
+  const profile = options.profile || env.TENCENTCLOUD_PROFILE || 'default';
+  const entry = fs.existsSync(file) ? parseCredentialsFile(fs.readFileSync(file, 'utf8'))[profile] : null;
+  if (entry?.secret_id && entry?.secret_key) {
+    return { secretId: entry.secret_id, secretKey: entry.secret_key, sessionToken: entry.session_token || null, source: `profile:${profile}` };
+  }
+  return { source: null, explicit, file, profile };
+};
+
+/**
+ * 整理静态网站配置：只保留部署器管理的字段并统一为字符串，便于与 getBucketWebsite 的结果比较
+ * @param {Object} [configuration] - WebsiteConfiguration 对象
+ * @returns {Object}
+ */
+const normalizeWebsite = (configuration = {}) => {
+  const pick = (object, keys, defaults = {}) => {
+    if (!object) return undefined;
+    const entries = keys.map(key => [key, object[key] ?? defaults[key]]).filter(([, value]) => value !== undefined && value !== '');
+    return entries.length ? Object.fromEntries(entries.map(([key, value]) => [key, String(value)])) : undefined;
+  };
+  const rules = [].concat(configuration.RoutingRules || []).map(rule => ({
+    Condition: pick(rule.Condition, ['HttpErrorCodeReturnedEquals', 'KeyPrefixEquals']),
+    Redirect: pick(rule.Redirect, ['Protocol', 'ReplaceKeyWith', 'ReplaceKeyPrefixWith'])
+  }));
+  const errorDocument = configuration.ErrorDocument?.Key ? configuration.ErrorDocument : null;
+  return JSON.parse(JSON.stringify({
+    IndexDocument: pick(configuration.IndexDocument, ['Suffix']),
+    RedirectAllRequestsTo: pick(configuration.RedirectAllRequestsTo, ['Protocol']),
+    // 未返回 OriginalHttpStatus 时按 COS 默认值 Disabled 处理
+    ErrorDocument: pick(errorDocument, ['Key', 'OriginalHttpStatus'], { OriginalHttpStatus: 'Disabled' }),
+    RoutingRules: rules.length ? rules : undefined
+  }));
+};
+
+/**
+ * 将 website 配置转换为 putBucketWebsite 的 WebsiteConfiguration，Key 均相对于存储桶根目录
+ * @param {Object} website - website 配置
+ * @returns {Object}
+ */
+const buildWebsiteConfiguration = (website) => {
+  const toKey = (key) => (key === undefined ? undefined : normalizePattern(key));
+  return normalizeWebsite({
+    IndexDocument: { Suffix: website.index_document || DEFAULT_INDEX_DOCUMENT },
+    RedirectAllRequestsTo: website.force_https ? { Protocol: 'https' } : undefined,
+    ErrorDocument: website.error_document ? {
+      Key: toKey(website.error_document),
+      OriginalHttpStatus: website.original_http_status === undefined ? undefined : (website.original_http_status ? 'Enabled' : 'Disabled')
+    } : undefined,
+    RoutingRules: [
+      // 错误码映射：返回指定错误码时重定向到对应文档
+      ...Object.entries(website.error_pages || {}).map(([code, key]) => ({
+        Condition: { HttpErrorCodeReturnedEquals: code },
+        Redirect: { ReplaceKeyWith: toKey(key) }
+      })),
+      ...(website.routing_rules || []).map(({ condition, redirect }) => ({
+        Condition: { HttpErrorCodeReturnedEquals: condition.error_code, KeyPrefixEquals: toKey(condition.key_prefix) },
+        Redirect: { Protocol: redirect.protocol, ReplaceKeyWith: toKey(redirect.key), ReplaceKeyPrefixWith: toKey(redirect.key_prefix) }
+      }))
+    ]
+  });
+};
+
 /**
  * 校验 Hexo 部署配置
  * @param {Object} hexo - Hexo 实例
+ * @param {Object} [args] - 命令行参数（如 --dry-run）
+ * @param {Object} [deployConfig] - 部署配置，默认取 hexo.config.deploy 中的 tencent-cos 项
  * @returns {Object|null} 配置对象，校验失败返回 null
  */
-const validateConfig = (hexo) => {
-  const config = hexo.config.deploy;
+const validateConfig = (hexo, args = {}, deployConfig = getDeployConfig(hexo)) => {
+  const missingEnv = new Set();
+  const config = interpolateEnv(deployConfig, missingEnv);
+  // 日志配置最先确定，校验错误也按 language 输出到 hexo.log
+  const language = config?.language ?? 'zh';
+  const enableLog = config?.enable_log;
+  // --silent 时降为 error 级别，同时关闭直接写入 stderr 的进度显示
+  const logLevel = hexo.env?.debug ? 'debug' : hexo.env?.silent ? 'error' : (config?.log_level ?? (enableLog === undefined ? 'info' : (enableLog ? 'debug' : 'warn')));
+  const output = {
+    logger: hexo.log || consoleLogger,
+    logLevel: LOG_LEVELS.includes(logLevel) ? logLevel : 'info',
+    language: LANGUAGES.includes(language) ? language : 'zh'
+  };
   if (!config) {
-    errorLog('配置', '未找到 deploy 配置，请在 _config.yml 中配置');
+    errorLog(output, 'config', 'config.notFound');
     return null;
   }
 
   const domainRegex = /^https?:\/\/[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-  const required = ['secret_id', 'secret_key', 'bucket', 'region', 'upload_dir'];
+  // 配置 targets 时存储桶与地域在各目标中填写
+  const required = config.targets === undefined ? ['bucket', 'region', 'upload_dir'] : ['upload_dir'];
   const errors = [];
-
-  required.forEach(item => {
-    if (!config[item]) errors.push(`缺少配置项: ${item}`);
-    else if (config[item] === `your_${item}`) errors.push(`未正确配置: ${item}`);
-  });
-
-  const cache_type = config.cache_type || 'cdn';
-  if (!['edgeone', 'cdn'].includes(cache_type)) {
-    errors.push(`不支持的缓存类型 "${cache_type}"，请使用 "edgeone" 或 "cdn"`);
-  }
-
-  const cdnDomains = config.cdn_domains || [];
-  cdnDomains.forEach((item, index) => {
+  const addError = (id, params) => errors.push(t(output, id, params));
+  const checkChoice = (item, value, choices) => {
+    if (!choices.includes(value)) addError('config.unsupported', { item, value, choices: choices.map(c => `"${c}"`).join(' / ') });
+  };
+  const checkRemoteDir = (value, item) => {
+    if (typeof value !== 'string' || value.split('/').some(segment => segment === '..' || segment === '.')) {
+      addError('config.remoteDir', { item });
+    }
+  };
+  const checkCdnDomains = (list, prefix) => list.forEach((item, index) => {
+    const name = `${prefix}[${index}]`;
     if (!item.domain) {
-      errors.push(`cdn_domains[${index}] 缺少 domain 字段`);
+      addError('config.domainMissing', { item: name });
     } else if (!domainRegex.test(item.domain)) {
-      errors.push(`cdn_domains[${index}] 的 domain 格式不合法: ${item.domain}`);
+      addError('config.domainInvalid', { item: name, domain: item.domain });
     }
+    ['path_prefix', 'zone_id'].forEach(key => {
+      if (item[key] !== undefined && typeof item[key] !== 'string') {
+        addError('config.string', { item: `${name}.${key}` });
+      }
+    });
     if (item.ignore_paths && !Array.isArray(item.ignore_paths)) {
-      errors.push(`cdn_domains[${index}] 的 ignore_paths 必须为数组`);
+      addError('config.array', { item: `${name}.ignore_paths` });
     }
     if (item.ignore_extensions) {
       if (!Array.isArray(item.ignore_extensions)) {
-        errors.push(`cdn_domains[${index}] 的 ignore_extensions 必须为数组`);
+        addError('config.array', { item: `${name}.ignore_extensions` });
       } else {
         item.ignore_extensions.forEach(ext => {
           if (typeof ext !== 'string') {
-            errors.push(`cdn_domains[${index}] 的 ignore_extensions 中 "${ext}" 必须为字符串`);
+            addError('config.extensionType', { item: `${name}.ignore_extensions`, ext });
           } else if (!ext.startsWith('.')) {
-            errors.push(`cdn_domains[${index}] 的 ignore_extensions 中 "${ext}" 必须以 "." 开头`);
+            addError('config.extensionDot', { item: `${name}.ignore_extensions`, ext });
           }
         });
       }
     }
   });
 
+  missingEnv.forEach(name => addError('config.envMissing', { name }));
+
+  const credentials = resolveCredentials(config);
+  if (credentials.source === 'config') required.unshift('secret_id', 'secret_key');
+  else if (!credentials.source && credentials.explicit) addError('config.profileNotFound', { file: credentials.file, profile: credentials.profile });
+  else if (!credentials.source) addError('config.credentialsMissing');
+
+  required.forEach(item => {
+    if (!config[item]) addError('config.missing', { item });
+    else if (config[item] === `your_${item}`) addError('config.placeholder', { item });
+  });
+
+  const credentialOptions = config.credentials || {};
+  ['profile', 'file', 'role_arn', 'role_session_name'].forEach(key => {
+    if (credentialOptions[key] !== undefined && (typeof credentialOptions[key] !== 'string' || !credentialOptions[key])) {
+      addError('config.string', { item: `credentials.${key}` });
+    }
+  });
+  if (credentialOptions.duration !== undefined && !(Number.isInteger(credentialOptions.duration) && credentialOptions.duration > 0)) {
+    addError('config.positiveInteger', { item: 'credentials.duration' });
+  }
+
+  checkChoice('log_level', logLevel, LOG_LEVELS);
+  checkChoice('language', language, LANGUAGES);
+
+  const cache_type = config.cache_type || 'cdn';
+  checkChoice('cache_type', cache_type, ['edgeone', 'cdn']);
+  const purgeStrategy = config.purge_strategy || 'url';
+  checkChoice('purge_strategy', purgeStrategy, PURGE_STRATEGIES);
+  if (config.purge_path_threshold !== undefined && !(Number.isInteger(config.purge_path_threshold) && config.purge_path_threshold > 0)) {
+    addError('config.positiveInteger', { item: 'purge_path_threshold' });
+  }
+
+  const manifest = config.manifest === true ? 'local' : (config.manifest || null);
+  if (manifest) checkChoice('manifest', manifest, MANIFEST_MODES);
+
+  const remoteDir = config.remote_dir ?? config.prefix ?? '';
+  checkRemoteDir(remoteDir, 'remote_dir');
+
+  const compareMode = config.compare_mode || 'auto';
+  checkChoice('compare_mode', compareMode, COMPARE_MODES);
+
+  ['multipart_threshold', 'multipart_chunk_size'].forEach(item => {
+    if (config[item] !== undefined && !(typeof config[item] === 'number' && config[item] > 0)) {
+      addError('config.positiveMb', { item });
+    }
+  });
+
+  const trafficLimit = config.traffic_limit;
+  if (trafficLimit !== undefined && !(typeof trafficLimit === 'number' && trafficLimit >= MIN_TRAFFIC_LIMIT && trafficLimit <= MAX_TRAFFIC_LIMIT)) {
+    addError('config.trafficLimit', { min: MIN_TRAFFIC_LIMIT, max: MAX_TRAFFIC_LIMIT });
+  }
+
+  const rateLimit = config.rate_limit || {};
+  if (typeof rateLimit !== 'object' || Array.isArray(rateLimit)) {
+    addError('config.rateLimit', { item: 'rate_limit' });
+  } else {
+    ['cos', 'api'].forEach(item => {
+      if (rateLimit[item] !== undefined && !(typeof rateLimit[item] === 'number' && rateLimit[item] > 0)) {
+        addError('config.rateLimit', { item: `rate_limit.${item}` });
+      }
+    });
+  }
+
+  ['exclude', 'include'].forEach(item => {
+    if (config[item] !== undefined && (!Array.isArray(config[item]) || config[item].some(p => typeof p !== 'string' || !p))) {
+      addError('config.globArray', { item });
+    }
+  });
+
+  const dotfiles = config.dotfiles || 'allow';
+  checkChoice('dotfiles', dotfiles, DOTFILES_POLICIES);
+  const symlinks = config.symlinks || 'follow';
+  checkChoice('symlinks', symlinks, SYMLINKS_POLICIES);
+
+  const compress = typeof config.compress === 'string' ? { algorithm: config.compress } : config.compress;
+  if (compress) {
+    checkChoice('compress.algorithm', compress.algorithm, COMPRESS_ALGORITHMS);
+    if (compress.extensions && (!Array.isArray(compress.extensions) || compress.extensions.some(ext => typeof ext !== 'string' || !ext.startsWith('.')))) {
+      addError('config.extensions', { item: 'compress.extensions' });
+    }
+    if (compress.min_size !== undefined && !(typeof compress.min_size === 'number' && compress.min_size >= 0)) {
+      addError('config.nonNegativeBytes', { item: 'compress.min_size' });
+    }
+  }
+
+  const uploadPhases = config.upload_phases ?? DEFAULT_UPLOAD_PHASES;
+  if (!Array.isArray(uploadPhases) || uploadPhases.some(phase => {
+    const patterns = [].concat(phase);
+    return !patterns.length || patterns.some(p => typeof p !== 'string' || !p);
+  })) {
+    addError('config.uploadPhases');
+  }
+
+  const release = config.release === true ? {} : config.release;
+  if (release) {
+    if (release.source !== undefined) checkChoice('release.source', release.source, RELEASE_SOURCES);
+    if (release.keep !== undefined && !(Number.isInteger(release.keep) && release.keep > 0)) {
+      addError('config.positiveInteger', { item: 'release.keep' });
+    }
+  }
+
+  const failOn = { any: FAIL_ON_STAGES, none: [] }[config.fail_on ?? 'any'] || [].concat(config.fail_on);
+  failOn.filter(stage => !FAIL_ON_STAGES.includes(stage)).forEach(stage => checkChoice('fail_on', stage, ['any', 'none', ...FAIL_ON_STAGES]));
+
+  if (config.report_file !== undefined && (typeof config.report_file !== 'string' || !config.report_file)) {
+    addError('config.filePath', { item: 'report_file' });
+  }
+  const reportSummary = [].concat(config.report_summary ?? []);
+  reportSummary.forEach(format => checkChoice('report_summary', format, Object.keys(REPORT_SUMMARY_FORMATS)));
+
+  const headerRules = config.headers || [];
+  if (!Array.isArray(headerRules)) {
+    addError('config.array', { item: 'headers' });
+  } else {
+    headerRules.forEach((rule, index) => {
+      const patterns = [].concat(rule?.pattern ?? []);
+      if (!patterns.length || patterns.some(p => typeof p !== 'string' || !p)) {
+        addError('config.globPatterns', { item: `headers[${index}].pattern` });
+      }
+      if (!rule?.headers || typeof rule.headers !== 'object' || Array.isArray(rule.headers)) {
+        addError('config.headersMap', { item: `headers[${index}]` });
+      }
+    });
+  }
+
+  const storageRules = config.storage_rules || [];
+  if (!Array.isArray(storageRules)) {
+    addError('config.array', { item: 'storage_rules' });
+  } else {
+    storageRules.forEach((rule, index) => {
+      const item = `storage_rules[${index}]`;
+      const patterns = [].concat(rule?.pattern ?? []);
+      if (!patterns.length || patterns.some(p => typeof p !== 'string' || !p)) {
+        addError('config.globPatterns', { item: `${item}.pattern` });
+      }
+      if (!rule?.storage_class && !rule?.acl && !rule?.grants) addError('config.storageRule', { item });
+      if (rule?.storage_class !== undefined) checkChoice(`${item}.storage_class`, rule.storage_class, STORAGE_CLASSES);
+      if (rule?.acl !== undefined) checkChoice(`${item}.acl`, rule.acl, OBJECT_ACLS);
+      if (rule?.grants !== undefined) {
+        if (!rule.grants || typeof rule.grants !== 'object' || Array.isArray(rule.grants)) {
+          addError('config.storageGrants', { item: `${item}.grants` });
+        } else {
+          Object.entries(rule.grants).forEach(([name, value]) => {
+            checkChoice(`${item}.grants`, name, Object.keys(ACL_GRANTS));
+            if (typeof value !== 'string' || !value) addError('config.string', { item: `${item}.grants.${name}` });
+          });
+        }
+      }
+    });
+  }
+
+  const cdnDomains = config.cdn_domains || [];
+  checkCdnDomains(cdnDomains, 'cdn_domains');
+
+  // 多目标部署：未填写的 region、remote_dir 与 cdn_domains 沿用顶层配置，name 默认为存储桶名
+  const targets = config.targets;
+  if (targets !== undefined) {
+    if (!Array.isArray(targets) || !targets.length) {
+      addError('config.targets');
+    } else {
+      const names = new Set();
+      targets.forEach((target, index) => {
+        const name = `targets[${index}]`;
+        ['name', 'bucket', 'region'].forEach(key => {
+          if (target[key] !== undefined && (typeof target[key] !== 'string' || !target[key])) {
+            addError('config.string', { item: `${name}.${key}` });
+          }
+        });
+        if (!target.bucket) addError('config.missing', { item: `${name}.bucket` });
+        if (!target.region && !config.region) addError('config.missing', { item: `${name}.region` });
+        checkRemoteDir(target.remote_dir ?? target.prefix ?? remoteDir, `${name}.remote_dir`);
+        if (target.cdn_domains !== undefined) {
+          if (!Array.isArray(target.cdn_domains)) addError('config.array', { item: `${name}.cdn_domains` });
+          else checkCdnDomains(target.cdn_domains, `${name}.cdn_domains`);
+        }
+        const targetName = target.name || target.bucket;
+        if (names.has(targetName)) addError('config.targetDuplicate', { name: targetName });
+        names.add(targetName);
+      });
+    }
+  }
+
+  const waitForPurge = config.wait_for_purge === true ? {} : config.wait_for_purge;
+  if (waitForPurge) {
+    ['timeout', 'interval'].forEach(item => {
+      if (waitForPurge[item] !== undefined && !(typeof waitForPurge[item] === 'number' && waitForPurge[item] > 0)) {
+        addError('config.positiveSeconds', { item: `wait_for_purge.${item}` });
+      }
+    });
+  }
+
+  const redirects = config.redirects || {};
+  if (typeof redirects !== 'object' || Array.isArray(redirects)) {
+    addError('config.redirectsMap');
+  } else {
+    Object.entries(redirects).forEach(([from, location]) => {
+      if (from.split('/').some(segment => segment === '..' || segment === '.')) addError('config.remoteDir', { item: `redirects["${from}"]` });
+      if (typeof location !== 'string' || !REDIRECT_LOCATION_PATTERN.test(location)) {
+        addError('config.redirectLocation', { item: `redirects["${from}"]`, location });
+      }
+    });
+  }
+  if (config.redirects_file !== undefined && typeof config.redirects_file !== 'boolean' && (typeof config.redirects_file !== 'string' || !config.redirects_file)) {
+    addError('config.filePath', { item: 'redirects_file' });
+  }
+
+  const website = config.website === true ? {} : config.website;
+  if (website) {
+    ['index_document', 'error_document'].forEach(item => {
+      if (website[item] !== undefined && (typeof website[item] !== 'string' || !website[item])) {
+        addError('config.string', { item: `website.${item}` });
+      }
+    });
+    if (website.error_pages !== undefined) {
+      if (!website.error_pages || typeof website.error_pages !== 'object' || Array.isArray(website.error_pages)) {
+        addError('config.websiteErrorPages');
+      } else {
+        Object.entries(website.error_pages).forEach(([code, key]) => {
+          if (!/^[45]\d\d$/.test(code)) addError('config.errorCode', { item: 'website.error_pages', code });
+          if (typeof key !== 'string' || !key) addError('config.string', { item: `website.error_pages.${code}` });
+        });
+      }
+    }
+    if (website.routing_rules !== undefined && !Array.isArray(website.routing_rules)) {
+      addError('config.array', { item: 'website.routing_rules' });
+    } else {
+      (website.routing_rules || []).forEach((rule, index) => {
+        const item = `website.routing_rules[${index}]`;
+        const { condition = {}, redirect = {} } = rule || {};
+        // 条件为错误码或 Key 前缀之一，重定向至少指定协议、Key 或 Key 前缀，Key 与 Key 前缀不能同时替换
+        const conditions = ['error_code', 'key_prefix'].filter(key => condition[key] !== undefined);
+        const redirects = ['protocol', 'key', 'key_prefix'].filter(key => redirect[key] !== undefined);
+        if (conditions.length !== 1 || !redirects.length || (redirect.key !== undefined && redirect.key_prefix !== undefined)) {
+          addError('config.websiteRule', { item });
+        }
+        if (condition.error_code !== undefined && !/^[45]\d\d$/.test(String(condition.error_code))) {
+          addError('config.errorCode', { item: `${item}.condition`, code: condition.error_code });
+        }
+        if (redirect.protocol !== undefined) checkChoice(`${item}.redirect.protocol`, redirect.protocol, WEBSITE_PROTOCOLS);
+      });
+    }
+  }
+
+  const prefetch = config.prefetch === true ? {} : config.prefetch;
+  if (prefetch) {
+    ['paths', 'ignore_paths'].forEach(item => {
+      if (prefetch[item] !== undefined && (!Array.isArray(prefetch[item]) || prefetch[item].some(p => typeof p !== 'string'))) {
+        addError('config.array', { item: `prefetch.${item}` });
+      }
+    });
+    ['extensions', 'ignore_extensions'].forEach(item => {
+      if (prefetch[item] !== undefined && (!Array.isArray(prefetch[item]) || prefetch[item].some(ext => typeof ext !== 'string' || !ext.startsWith('.')))) {
+        addError('config.extensions', { item: `prefetch.${item}` });
+      }
+    });
+  }
+
   if (errors.length) {
-    errorLog('配置', '校验失败:');
-    errors.forEach(error => console.error(`  - ${error}`));
+    errorLog(output, 'config', 'config.invalid');
+    errors.forEach(error => output.logger.error(`  - ${error}`));
     return null;
   }
 
+  const mapCdnDomains = (list, dir) => list.map(item => ({
+    domain: item.domain,
+    pathPrefix: normalizeDir(item.path_prefix ?? dir),
+    zoneId: item.zone_id || null,
+    ignorePaths: normalizePathFilters(item.ignore_paths),
+    ignoreExtensions: (item.ignore_extensions || []).map(ext => ext.toLowerCase())
+  }));
+  const targetConfigs = targets ? targets.map(target => {
+    const name = target.name || target.bucket;
+    const dir = target.remote_dir ?? target.prefix ?? remoteDir;
+    return {
+      target: name,
+      bucket: target.bucket,
+      region: target.region || config.region,
+      remotePrefix: normalizeDir(dir).slice(1),
+      cdnDomains: mapCdnDomains(target.cdn_domains ?? cdnDomains, dir),
+      // 各目标的远程文件不同，本地清单分别保存
+      manifestPath: path.join(hexo.base_dir, RESERVED_PREFIX, `manifest.${name}.json`)
+    };
+  }) : null;
+
   return {
-    secretId: config.secret_id,
-    secretKey: config.secret_key,
-    bucket: config.bucket,
-    region: config.region,
+    ...output,
+    secretId: credentials.secretId,
+    secretKey: credentials.secretKey,
+    sessionToken: credentials.sessionToken,
+    credentialSource: credentials.source,
+    assumeRole: credentialOptions.role_arn ? {
+      roleArn: credentialOptions.role_arn,
+      sessionName: credentialOptions.role_session_name || DEFAULT_ROLE_SESSION_NAME,
+      duration: credentialOptions.duration ?? DEFAULT_ROLE_DURATION
+    } : null,
+    bucket: targetConfigs ? null : config.bucket,
+    region: targetConfigs ? null : config.region,
     uploadDir: path.join(hexo.base_dir, config.upload_dir),
+    remotePrefix: normalizeDir(remoteDir).slice(1),
+    targets: targetConfigs,
+    purgeOnPartialFailure: Boolean(config.purge_on_partial_failure),
     cache_type: cache_type,
-    cdnDomains: cdnDomains.map(item => ({
-      domain: item.domain,
-      ignorePaths: (item.ignore_paths || []).filter(p => p).map(segment => {
-        let normalized = segment.startsWith('/') ? segment.slice(1) : segment;
-        return normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
-      }),
-      ignoreExtensions: (item.ignore_extensions || []).map(ext => ext.toLowerCase())
-    })),
+    // 多目标部署时为所有目标的域名，供合并刷新时查找 zone_id
+    cdnDomains: targetConfigs ? targetConfigs.flatMap(target => target.cdnDomains) : mapCdnDomains(cdnDomains, remoteDir),
+    purgeStrategy,
+    purgePathThreshold: config.purge_path_threshold ?? DEFAULT_PURGE_PATH_THRESHOLD,
+    waitForPurge: waitForPurge ? {
+      timeout: (waitForPurge.timeout ?? DEFAULT_WAIT_FOR_PURGE.timeout) * 1000,
+      interval: (waitForPurge.interval ?? DEFAULT_WAIT_FOR_PURGE.interval) * 1000
+    } : null,
+    website: website ? buildWebsiteConfiguration(website) : null,
+    redirects,
+    redirectsFile: config.redirects_file ? normalizePattern(config.redirects_file === true ? DEFAULT_REDIRECTS_FILE : config.redirects_file) : null,
+    prefetch: prefetch ? {
+      paths: normalizePathFilters(prefetch.paths),
+      extensions: (prefetch.extensions || []).map(ext => ext.toLowerCase()),
+      ignorePaths: normalizePathFilters(prefetch.ignore_paths),
+      ignoreExtensions: (prefetch.ignore_extensions || []).map(ext => ext.toLowerCase())
+    } : null,
     removeRemoteFiles: config.remove_remote_files || false,
     refreshIndexPage: config.refresh_index_page || false,
     concurrency: Math.max(MIN_CONCURRENCY, Math.min(config.concurrency ?? 10, MAX_CONCURRENCY)),
-    enableLog: config.enable_log || false
+    dryRun: Boolean(args['dry-run'] || args.dry_run || config.dry_run),
+    manifest,
+    manifestPath: path.join(hexo.base_dir, MANIFEST_KEY),
+    verifyRemote: Boolean(args['verify-remote'] || config.verify_remote),
+    compareMode,
+    multipartThreshold: (config.multipart_threshold ?? DEFAULT_MULTIPART_THRESHOLD) * MB,
+    multipartChunkSize: Math.max(1, config.multipart_chunk_size ?? DEFAULT_MULTIPART_CHUNK_SIZE) * MB,
+    trafficLimit: trafficLimit ? Math.floor(trafficLimit * MB * 8) : null,
+    rateLimit: { cos: rateLimit.cos ?? null, api: rateLimit.api ?? null },
+    exclude: (config.exclude || []).map(normalizePattern),
+    include: (config.include || []).map(normalizePattern),
+    dotfiles,
+    symlinks,
+    deleteExcluded: config.delete_excluded || false,
+    compress: compress ? {
+      algorithm: compress.algorithm,
+      extensions: (compress.extensions || DEFAULT_COMPRESS_EXTENSIONS).map(ext => ext.toLowerCase()),
+      minSize: compress.min_size ?? DEFAULT_COMPRESS_MIN_SIZE
+    } : null,
+    release: release ? {
+      source: release.source || 'versions',
+      keep: release.keep ?? DEFAULT_RELEASE_KEEP
+    } : null,
+    uploadPhases: uploadPhases.map(phase => [].concat(phase).map(normalizePattern)),
+    progress: config.progress ?? true,
+    reportFile: config.report_file ? path.resolve(hexo.base_dir, config.report_file) : null,
+    reportSummary,
+    failOn,
+    headerRules: headerRules.map(rule => ({
+      patterns: [].concat(rule.pattern).map(normalizePattern),
+      headers: Object.fromEntries(Object.entries(rule.headers).map(([name, value]) => [name, String(value)]))
+    })),
+    // 存储类型与权限规则转换为上传时的请求头，与 headers 规则一样计入头部指纹
+    storageRules: storageRules.map(rule => ({
+      patterns: [].concat(rule.pattern).map(normalizePattern),
+      headers: {
+        ...(rule.storage_class && { 'x-cos-storage-class': rule.storage_class }),
+        ...(rule.acl && { 'x-cos-acl': rule.acl }),
+        ...Object.fromEntries(Object.entries(rule.grants || {}).map(([name, value]) => [ACL_GRANTS[name][0], value]))
+      }
+    }))
+  };
+};
+
+/**
+ * 创建凭证提供者：未配置 role_arn 时直接返回长期凭证（或带 session_token 的临时凭证），
+ * 否则用其调用 STS AssumeRole 换取临时凭证，并在过期前自动刷新（并发请求共用同一次刷新）
+ * @param {Object} config - 配置对象
+ * @param {Function} [createSts] - 根据凭证创建 STS 客户端
+ * @returns {Object} { getCredential: () => Promise<{ secretId, secretKey, token, expiredTime }> }
+ */
+const createCredentialProvider = (config, createSts = (credential) => new CommonClient('sts.tencentcloudapi.com', '2018-08-13', { credential, region: config.region || config.targets[0].region })) => {
+  const base = { secretId: config.secretId, secretKey: config.secretKey, token: config.sessionToken || undefined };
+  if (!config.assumeRole) return { getCredential: async () => base };
+
+  let current = null;
+  let pending = null;
+  const assumeRole = async () => {
+    const { roleArn, sessionName, duration } = config.assumeRole;
+    const response = await withRetry(() => createSts(base).request('AssumeRole', {
+      RoleArn: roleArn,
+      RoleSessionName: sessionName,
+      DurationSeconds: duration
+    }));
+    const expiredTime = response.ExpiredTime * 1000;
+    log(config, 'debug', 'credentials', 'credentials.assumed', { role: roleArn, expiration: new Date(expiredTime).toISOString() });
+    return {
+      secretId: response.Credentials.TmpSecretId,
+      secretKey: response.Credentials.TmpSecretKey,
+      token: response.Credentials.Token,
+      expiredTime
+    };
+  };
+  return {
+    getCredential: async () => {
+      if (!current || current.expiredTime - Date.now() < CREDENTIAL_REFRESH_MARGIN) {
+        pending = pending || assumeRole().finally(() => { pending = null; });
+        current = await pending;
+      }
+      return current;
+    }
+  };
+};
+
+/**
+ * 创建限速器：按 1000 / rps 毫秒的固定间隔依次放行请求，并发调用会排队到各自的时间点
+ * @param {number|null} rps - 每秒请求数，为空时不限速
+ * @returns {Function} () => Promise<void>，resolve 时即可发出请求
+ */
+const createRateLimiter = (rps) => {
+  if (!rps) return async () => {};
+  const interval = 1000 / rps;
+  let next = 0;
+  return async () => {
+    const now = Date.now();
+    const at = Math.max(now, next);
+    next = at + interval;
+    if (at > now) await new Promise(resolve => setTimeout(resolve, at - now));
   };
 };
 
+/**
+ * 为客户端的指定方法加上限速，兼容 COS SDK 的回调与 Promise 两种调用方式
+ * @param {Object} client - COS 或 CommonClient 实例
+ * @param {string[]} methods - 需要限速的方法名
+ * @param {Function} acquire - createRateLimiter 返回的限速器
+ * @returns {Object} 原客户端（方法被就地替换）
+ */
+const throttleClient = (client, methods, acquire) => {
+  methods.forEach(method => {
+    const original = client[method].bind(client);
+    client[method] = (...args) => {
+      const pending = acquire().then(() => original(...args));
+      // 回调方式下结果经由回调返回，原方法返回值为 undefined
+      return typeof args[args.length - 1] === 'function' ? undefined : pending;
+    };
+  });
+  return client;
+};
+
 /**
  * 初始化 COS、CDN 和 EdgeOne 客户端
  * @param {Object} config - 配置对象
+ * @param {Object} [provider] - 凭证提供者
  * @returns {Object} 客户端对象
  */
-const initClients = (config) => {
-  const clientConfig = { credential: { secretId: config.secretId, secretKey: config.secretKey }, region: '' };
+const initClients = (config, provider = createCredentialProvider(config)) => {
+  log(config, 'debug', 'credentials', 'credentials.source', { source: config.credentialSource, role: config.assumeRole?.roleArn || '-' });
+  const clientConfig = { credential: provider, region: '' };
+  // 使用 AssumeRole 时由 COS SDK 在临时凭证将要过期时回调获取新凭证
+  const cos = config.assumeRole
+    ? new COS({
+      getAuthorization: (options, callback) => provider.getCredential().then(credential => callback({
+        TmpSecretId: credential.secretId,
+        TmpSecretKey: credential.secretKey,
+        SecurityToken: credential.token,
+        StartTime: Math.floor(Date.now() / 1000),
+        ExpiredTime: Math.floor(credential.expiredTime / 1000)
+      }), error => {
+        errorLog(config, 'credentials', 'credentials.failed', {}, error);
+        callback({});
+      })
+    })
+    : new COS({ SecretId: config.secretId, SecretKey: config.secretKey, SecurityToken: config.sessionToken || '' });
+  // CDN 与 EdgeOne 同属云 API，共用一个 rate_limit.api 限速器
+  const acquireApi = createRateLimiter(config.rateLimit.api);
   return {
-    cos: new COS({ SecretId: config.secretId, SecretKey: config.secretKey }),
-    cdn: new CommonClient('cdn.tencentcloudapi.com', '2018-06-06', clientConfig),
-    edgeone: new CommonClient('teo.tencentcloudapi.com', '2022-09-01', clientConfig)
+    cos: throttleClient(cos, COS_METADATA_METHODS, createRateLimiter(config.rateLimit.cos)),
+    cdn: throttleClient(new CommonClient('cdn.tencentcloudapi.com', '2018-06-06', clientConfig), ['request'], acquireApi),
+    edgeone: throttleClient(new CommonClient('teo.tencentcloudapi.com', '2022-09-01', clientConfig), ['request'], acquireApi)
   };
 };
 
+/**
+ * 判断文件或目录是否被 exclude / include / dotfiles 规则排除
+ * 目录只按 exclude 与 dotfiles 剪枝，include 仅作用于文件
+ * @param {Object} config - 配置对象
+ * @param {string} key - 相对 upload_dir 的路径
+ * @param {boolean} [isDirectory] - 是否为目录
+ * @returns {boolean}
+ */
+const isExcluded = (config, key, isDirectory = false) => {
+  const segments = key.split('/');
+  if (config.dotfiles === 'ignore' && segments.some(segment => segment.startsWith('.'))) return true;
+  // 上级目录被排除时，其下文件同样视为排除（与遍历时的目录剪枝保持一致）
+  for (let i = 1; i < segments.length; i++) {
+    if (matchAny(`${segments.slice(0, i).join('/')}/`, config.exclude)) return true;
+  }
+  if (isDirectory) return matchAny(`${key}/`, config.exclude);
+  if (matchAny(key, config.exclude)) return true;
+  return config.include.length > 0 && !matchAny(key, config.include);
+};
+
 /**
  * 流式计算文件 MD5 值
  * @param {string} filePath - 本地文件路径
@@ -174,95 +1067,565 @@ const calculateMD5 = (filePath) => {
 /**
  * 递归获取目录下所有文件
  * @param {string} dir - 目录路径
+ * @param {Object} [options] - 遍历选项
+ * @param {string} [options.root] - 计算相对路径的根目录，默认为 dir
+ * @param {Function} [options.filter] - (相对路径, 是否目录) => 是否保留
+ * @param {boolean} [options.followSymlinks] - 是否跟随符号链接，默认 true
+ * @param {Function} [options.onIgnoredSymlink] - (相对路径) => void，不跟随时记录被忽略的符号链接
  * @returns {Promise<string[]>} 文件路径数组
  */
-const getFiles = async (dir) => {
-  const subdirs = await fsPromises.readdir(dir);
-  const files = await Promise.all(subdirs.map(async (subdir) => {
-    const res = path.resolve(dir, subdir);
-    return (await fsPromises.stat(res)).isDirectory() ? getFiles(res) : res;
+const getFiles = async (dir, options = {}) => {
+  const { root = dir, filter = () => true, followSymlinks = true, onIgnoredSymlink = () => {} } = options;
+  const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async (entry) => {
+    const res = path.resolve(dir, entry.name);
+    if (entry.isSymbolicLink() && !followSymlinks) {
+      onIgnoredSymlink(path.relative(root, res).replace(/\\/g, '/'));
+      return [];
+    }
+    const isDirectory = entry.isSymbolicLink() ? (await fsPromises.stat(res)).isDirectory() : entry.isDirectory();
+    if (!filter(path.relative(root, res).replace(/\\/g, '/'), isDirectory)) return [];
+    return isDirectory ? getFiles(res, { ...options, root }) : res;
   }));
   return files.flat();
 };
 
 /**
- * 获取 COS 存储桶中的文件列表
+ * 获取 COS 存储桶中的文件列表（限定在 remote_dir 前缀内）
  * @param {COS} cos - COS 客户端
  * @param {Object} config - 配置对象
- * @returns {Promise<string[]>} 文件 Key 数组
+ * @param {string} [subPrefix] - remote_dir 内的子前缀，如发布记录目录
+ * @returns {Promise<Map<string, {etag: string, size: number}>>} 相对 Key → { etag, size } 映射
  */
-const listCosFiles = async (cos, config) => {
+const listCosFiles = async (cos, config, subPrefix = '') => {
   let contents = [];
   let continuationToken;
   do {
     const data = await new Promise((resolve, reject) => {
-      cos.getBucket({ Bucket: config.bucket, Region: config.region, ContinuationToken: continuationToken }, (err, data) => {
+      cos.getBucket({ Bucket: config.bucket, Region: config.region, Prefix: config.remotePrefix + subPrefix, ContinuationToken: continuationToken }, (err, data) => {
         err ? reject(err) : resolve(data);
       });
     });
     if (data.Contents) contents = contents.concat(data.Contents);
     continuationToken = data.NextContinuationToken;
   } while (continuationToken);
-  return contents.filter(item => !item.Key.endsWith('/')).map(item => item.Key);
+  return new Map(contents
+    .filter(item => !item.Key.endsWith('/') && item.Key.startsWith(config.remotePrefix))
+    .map(item => {
+      const etag = item.ETag?.replace(/"/g, '');
+      return [item.Key.slice(config.remotePrefix.length), {
+        etag, size: Number(item.Size), md5: isMultipartETag(etag) ? undefined : etag, storageClass: item.StorageClass, partial: true
+      }];
+    }));
 };
 
 /**
- * 上传文件到 COS，支持重试
+ * 判断 ETag 是否来自分块上传（形如 "<hash>-<分块数>"，不是文件 MD5）
+ * @param {string} etag - ETag
+ * @returns {boolean}
+ */
+const isMultipartETag = (etag) => Boolean(etag && etag.includes('-'));
+
+/**
+ * 获取单个远程文件的 ETag、内容 MD5 与头部指纹
+ * 内容 MD5 优先读取上传时写入的 x-cos-meta-md5，其次使用非分块上传的 ETag
  * @param {COS} cos - COS 客户端
  * @param {Object} config - 配置对象
  * @param {string} key - 文件 Key
- * @param {string} filePath - 本地文件路径
- * @returns {Promise<void>}
+ * @returns {Promise<{etag: string, md5: string|undefined, headersMd5: string|undefined, encoding: string|null, storageClass: string}|null>} 文件不存在时返回 null
  */
-const uploadFile = async (cos, config, key, filePath) => {
-  await withRetry(async () => {
-    await cos.putObject({
-      Bucket: config.bucket,
-      Region: config.region,
-      Key: key,
-      Body: fs.createReadStream(filePath)
-    });
-    log(config, '上传', `成功: ${key}`);
-  });
+const headRemoteObject = async (cos, config, key) => {
+  try {
+    const data = await cos.headObject({ Bucket: config.bucket, Region: config.region, Key: toCosKey(config, key) });
+    const etag = data.ETag?.replace(/"/g, '');
+    return {
+      etag,
+      md5: data.headers?.[MD5_META_HEADER] || (isMultipartETag(etag) ? undefined : etag),
+      headersMd5: data.headers?.[HEADERS_META_HEADER],
+      encoding: data.headers?.['content-encoding'] || null,
+      // 标准存储的对象不返回 x-cos-storage-class
+      storageClass: data.headers?.['x-cos-storage-class'] || 'STANDARD'
+    };
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
 };
 
 /**
- * 删除 COS 中的文件（分批 + 重试）
- * @param {COS} cos - COS 客户端
+ * 判断文件是否需要预压缩
  * @param {Object} config - 配置对象
- * @param {string[]} keys - 要删除的文件 Key 数组
- * @returns {Promise<void>}
+ * @param {string} key - 文件 Key
+ * @param {number} size - 文件大小
+ * @returns {string|null} 压缩算法（gzip / br），无需压缩返回 null
  */
-const deleteCosFiles = async (cos, config, keys) => {
-  if (!keys.length) return;
-  for (let i = 0; i < keys.length; i += COS_DELETE_BATCH_SIZE) {
-    const batch = keys.slice(i, i + COS_DELETE_BATCH_SIZE);
-    await withRetry(async () => {
-      await cos.deleteMultipleObject({
+const getContentEncoding = (config, key, size) => {
+  if (!config.compress || size < config.compress.minSize) return null;
+  return config.compress.extensions.includes(path.extname(key).toLowerCase()) ? config.compress.algorithm : null;
+};
+
+/**
+ * 按 headers 规则解析文件的 HTTP 头部，后出现的规则覆盖先出现的规则
+ * 预压缩文件默认补充 Content-Type，并强制写入 Content-Encoding
+ * @param {Object} config - 配置对象
+ * @param {string} key - 文件 Key
+ * @param {string|null} encoding - 预压缩算法
+ * @returns {Object} 头部映射
+ */
+const resolveHeaders = (config, key, encoding = null) => {
+  const contentType = TEXT_MIME_TYPES[path.extname(key).toLowerCase()];
+  const headers = encoding && contentType ? { 'Content-Type': contentType } : {};
+  [...config.headerRules, ...config.storageRules].forEach(rule => {
+    if (matchAny(key, rule.patterns)) Object.assign(headers, rule.headers);
+  });
+  if (encoding) headers['Content-Encoding'] = encoding;
+  return headers;
+};
+
+/**
+ * 计算头部映射的指纹，用于检测头部规则变化
+ * @param {Object} headers - 头部映射
+ * @returns {string|undefined} 无头部时返回 undefined
+ */
+const hashHeaders = (headers) => {
+  const entries = Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]).sort(([a], [b]) => a.localeCompare(b));
+  if (!entries.length) return undefined;
+  return crypto.createHash('md5').update(JSON.stringify(entries)).digest('hex');
+};
+
+/**
+ * 构建上传时写入的请求头：规则头部 + 内容 MD5 + 头部指纹
+ * @param {Object} headers - 规则头部
+ * @param {string} md5 - 文件 MD5
+ * @returns {Object} 请求头
+ */
+const buildObjectHeaders = (headers, md5) => {
+  const headersMd5 = hashHeaders(headers);
+  return {
+    ...headers,
+    [MD5_META_HEADER]: md5,
+    ...(headersMd5 && { [HEADERS_META_HEADER]: headersMd5 })
+  };
+};
+
+/**
+ * 读取部署清单（本地优先，其次 COS）
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @returns {Promise<Object>} Key → { size, mtime, md5, etag } 映射
+ */
+const loadManifest = async (cos, config) => {
+  if (!config.manifest) return {};
+
+  if (config.manifest !== 'remote') {
+    try {
+      const data = JSON.parse(await fsPromises.readFile(config.manifestPath, 'utf8'));
+      return data.files || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') log(config, 'warn', 'manifest', 'manifest.readLocalFailed', { error: error.message });
+    }
+  }
+
+  if (config.manifest !== 'local') {
+    try {
+      const data = await cos.getObject({ Bucket: config.bucket, Region: config.region, Key: toCosKey(config, MANIFEST_KEY) });
+      return JSON.parse(data.Body.toString()).files || {};
+    } catch (error) {
+      if (error.statusCode !== 404) log(config, 'warn', 'manifest', 'manifest.readRemoteFailed', { error: error.message });
+    }
+  }
+
+  return {};
+};
+
+/**
+ * 保存部署清单到本地和/或 COS
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {Object} files - Key → { size, mtime, md5, etag } 映射
+ * @returns {Promise<void>}
+ */
+const saveManifest = async (cos, config, files) => {
+  if (!config.manifest) return;
+  const sorted = Object.fromEntries(Object.keys(files).sort().map(key => [key, files[key]]));
+  const body = JSON.stringify({ version: 1, updatedAt: new Date().toISOString(), files: sorted }, null, 2);
+
+  if (config.manifest !== 'remote') {
+    await fsPromises.mkdir(path.dirname(config.manifestPath), { recursive: true });
+    await fsPromises.writeFile(config.manifestPath, body);
+  }
+  if (config.manifest !== 'local') {
+    await withRetry(() => cos.putObject({ Bucket: config.bucket, Region: config.region, Key: toCosKey(config, MANIFEST_KEY), Body: body }));
+  }
+  log(config, 'debug', 'manifest', 'manifest.saved', { count: Object.keys(files).length });
+};
+
+/**
+ * 从部署清单中移除指定文件的记录，下次部署时重新与远程比对
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string[]} keys - 文件 Key
+ * @returns {Promise<void>}
+ */
+const forgetManifestEntries = async (cos, config, keys) => {
+  if (!config.manifest) return;
+  const files = await loadManifest(cos, config);
+  const forgotten = keys.filter(key => files[key]);
+  if (!forgotten.length) return;
+  forgotten.forEach(key => delete files[key]);
+  await saveManifest(cos, config, files);
+};
+
+/**
+ * 上传文件到 COS，支持重试
+ * 超过 multipart_threshold 的文件使用分块上传，重试时由 SDK 续传已完成的分块；
+ * 预压缩文件在内存中压缩后上传
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string} key - 文件 Key
+ * @param {string} filePath - 本地文件路径
+ * @param {Object} options - 上传选项
+ * @param {string} options.md5 - 原始文件 MD5，写入 x-cos-meta-md5 供后续比对
+ * @param {Object} [options.headers] - 解析出的 HTTP 头部
+ * @param {string|null} [options.encoding] - 预压缩算法
+ * @returns {Promise<Object>} putObject / sliceUploadFile 返回值
+ */
+const uploadFile = async (cos, config, key, filePath, { md5, headers = {}, encoding = null }) => {
+  const params = {
+    Bucket: config.bucket,
+    Region: config.region,
+    Key: toCosKey(config, key),
+    // 限速头不计入头部指纹，调整 traffic_limit 不会触发重新上传
+    Headers: { ...buildObjectHeaders(headers, md5), ...(config.trafficLimit && { 'x-cos-traffic-limit': String(config.trafficLimit) }) }
+  };
+  if (encoding) {
+    const body = await compressors[encoding](await fsPromises.readFile(filePath));
+    return withRetry(async () => {
+      const data = await cos.putObject({ ...params, Body: body, ContentLength: body.length });
+      log(config, 'debug', 'upload', 'upload.successEncoded', { key, encoding });
+      return data;
+    });
+  }
+
+  const { size } = await fsPromises.stat(filePath);
+  return withRetry(async () => {
+    let data;
+    if (size >= config.multipartThreshold) {
+      data = await cos.sliceUploadFile({ ...params, FilePath: filePath, ChunkSize: config.multipartChunkSize });
+    } else {
+      const body = fs.createReadStream(filePath);
+      // 请求结束后关闭文件流：未读完文件就失败时避免句柄泄漏，之后的读取错误（如文件已被删除）也不再有意义
+      data = await cos.putObject({ ...params, Body: body, ContentLength: size }).finally(() => body.on('error', () => {}).destroy());
+    }
+    log(config, 'debug', 'upload', size >= config.multipartThreshold ? 'upload.successMultipart' : 'upload.success', { key });
+    return data;
+  });
+};
+
+/**
+ * 创建重定向对象：空文件，通过 x-cos-website-redirect-location 指向新地址（静态网站访问时生效）
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string} key - 旧路径对应的 Key
+ * @param {Object} headers - 含重定向地址的头部
+ * @returns {Promise<Object>} putObject 返回值
+ */
+const uploadRedirect = async (cos, config, key, headers) => {
+  return withRetry(async () => {
+    const data = await cos.putObject({
+      Bucket: config.bucket,
+      Region: config.region,
+      Key: toCosKey(config, key),
+      Headers: buildObjectHeaders(headers, EMPTY_MD5),
+      Body: '',
+      ContentLength: 0
+    });
+    log(config, 'debug', 'upload', 'upload.redirect', { key, location: headers[REDIRECT_HEADER] });
+    return data;
+  });
+};
+
+/**
+ * 仅更新远程文件的头部（服务端复制到自身，不重新上传内容）
+ * Replaced 会清空原有的 Content-Type，未由规则指定时按扩展名补上，与上传时 SDK 的推断一致
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string} key - 文件 Key
+ * @param {string} md5 - 文件 MD5
+ * @param {Object} headers - headers 规则解析出的 HTTP 头部
+ * @returns {Promise<Object>} putObjectCopy 返回值
+ */
+const updateObjectHeaders = async (cos, config, key, md5, headers = {}) => {
+  return withRetry(async () => {
+    const data = await cos.putObjectCopy({
+      Bucket: config.bucket,
+      Region: config.region,
+      Key: toCosKey(config, key),
+      CopySource: toCopySource(config, key),
+      MetadataDirective: 'Replaced',
+      Headers: {
+        ...(!Object.keys(headers).some(name => name.toLowerCase() === 'content-type') && { 'Content-Type': mime.lookup(key) || 'application/octet-stream' }),
+        ...buildObjectHeaders(headers, md5)
+      }
+    });
+    log(config, 'debug', 'upload', 'upload.headersUpdated', { key });
+    return data;
+  });
+};
+
+/**
+ * 服务端复制对象（保留源对象的元数据）
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string} key - 目标文件 Key
+ * @param {string} sourceKey - 源文件 Key
+ * @param {string} [versionId] - 源对象版本 ID
+ * @returns {Promise<Object>} putObjectCopy 返回值
+ */
+const copyCosObject = async (cos, config, key, sourceKey, versionId) => {
+  const source = toCopySource(config, sourceKey);
+  return withRetry(() => cos.putObjectCopy({
+    Bucket: config.bucket,
+    Region: config.region,
+    Key: toCosKey(config, key),
+    CopySource: versionId ? `${source}?versionId=${encodeURIComponent(versionId)}` : source,
+    MetadataDirective: 'Copy'
+  }));
+};
+
+/**
+ * 从 COS 返回值中读取版本 ID
+ * @param {Object} data - putObject / sliceUploadFile / putObjectCopy 返回值
+ * @returns {string|null}
+ */
+const getVersionId = (data) => data?.VersionId || data?.headers?.['x-cos-version-id'] || null;
+
+/**
+ * 删除 COS 中的文件（分批 + 重试），失败的批次或文件记录后继续
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string[]} keys - 要删除的文件 Key 数组
+ * @param {Object} [report] - 部署报告
+ * @param {Object} [progress] - 进度显示
+ * @returns {Promise<string[]>} 删除成功的文件 Key 数组
+ */
+const deleteCosFiles = async (cos, config, keys, report = null, progress = null) => {
+  const deleted = [];
+  for (let i = 0; i < keys.length; i += COS_DELETE_BATCH_SIZE) {
+    const batch = keys.slice(i, i + COS_DELETE_BATCH_SIZE);
+    try {
+      const data = await withRetry(() => cos.deleteMultipleObject({
         Bucket: config.bucket,
         Region: config.region,
-        Objects: batch.map(key => ({ Key: key }))
-      });
-      log(config, '删除', `完成 ${batch.length} 个远程文件`);
-    });
+        Objects: batch.map(key => ({ Key: toCosKey(config, key) }))
+      }));
+      // 批量删除接口对单个文件的失败不会抛出，需逐个检查
+      const failed = new Set((data?.Error || []).map(({ Key, Code, Message }) => {
+        const key = Key.slice(config.remotePrefix.length);
+        reportError(config, report, 'delete', 'delete.fileFailed', { key, code: Code, message: Message || '' });
+        return key;
+      }));
+      deleted.push(...batch.filter(key => !failed.has(key)));
+      log(config, 'info', 'delete', 'delete.done', { count: batch.length - failed.size });
+    } catch (error) {
+      reportError(config, report, 'delete', 'delete.batchFailed', { count: batch.length }, error);
+    }
+    progress?.tick(batch.length);
+  }
+  progress?.done();
+  return deleted;
+};
+
+/**
+ * 查询 CDN 刷新配额，境内、境外区域取较小值
+ * @param {CommonClient} cdn - CDN 客户端
+ * @returns {Promise<Object>} { urlBatch, urlAvailable, pathBatch, pathAvailable }
+ */
+const getCdnPurgeQuota = async (cdn) => {
+  const response = await cdn.request('DescribePurgeQuota', {});
+  const min = (list, field, fallback) => (list?.length ? Math.min(...list.map(q => q[field])) : fallback);
+  return {
+    urlBatch: min(response?.UrlPurge, 'Batch', CDN_PURGE_BATCH_SIZE),
+    urlAvailable: min(response?.UrlPurge, 'Available', Infinity),
+    pathBatch: min(response?.PathPurge, 'Batch', CDN_PATH_PURGE_BATCH_SIZE),
+    pathAvailable: min(response?.PathPurge, 'Available', Infinity)
+  };
+};
+
+/**
+ * 按刷新策略与配额拆分 URL 刷新与目录刷新
+ * URL 按所在的顶级目录分组（根目录下的文件归入根目录）：目录的变更 URL 数包含其各级子目录，
+ * 最浅的目录最先达到阈值且覆盖的 URL 最多。Hexo 的文章各自位于 posts/<slug>/ 等目录中，
+ * 按直接所在目录分组时每个目录只有一个 URL，既达不到阈值，也会浪费目录配额
+ * - url：全部按 URL 刷新
+ * - path：按所在顶级目录刷新
+ * - auto：变更 URL 数达到阈值的顶级目录按目录刷新
+ * URL 超出剩余配额时，从 URL 最多的目录开始改为目录刷新；目录超出剩余配额时保留覆盖 URL 最多的目录，
+ * 其余目录的 URL 在 URL 配额内按 URL 刷新，仍放不下的记为未刷新
+ * @param {string[]} urls - URL 数组
+ * @param {Object} config - 配置对象
+ * @param {Object} [quota] - CDN 刷新配额，未知时不限制
+ * @returns {Object} { urls: string[], paths: Array<{ path, count }>, skipped: string[] }
+ */
+const planCdnPurge = (urls, config, quota = null) => {
+  const dirOf = (url) => {
+    const root = url.indexOf('/', url.indexOf('//') + 2);
+    const end = url.indexOf('/', root + 1);
+    return url.slice(0, (end === -1 ? root : end) + 1);
+  };
+  const groups = new Map();
+  urls.forEach(url => {
+    const dir = dirOf(url);
+    if (!groups.has(dir)) groups.set(dir, []);
+    groups.get(dir).push(url);
+  });
+  const bySize = (a, b) => groups.get(b).length - groups.get(a).length;
+  const urlAvailable = quota?.urlAvailable ?? Infinity;
+  const pathAvailable = quota?.pathAvailable ?? Infinity;
+
+  const dirs = Array.from(groups.keys());
+  const pathDirs = new Set({
+    url: [],
+    path: dirs,
+    auto: dirs.filter(dir => groups.get(dir).length >= config.purgePathThreshold)
+  }[config.purgeStrategy]);
+  const urlDirs = dirs.filter(dir => !pathDirs.has(dir)).sort(bySize);
+  let urlCount = urlDirs.reduce((sum, dir) => sum + groups.get(dir).length, 0);
+  while (urlCount > urlAvailable && urlDirs.length) {
+    const dir = urlDirs.shift();
+    pathDirs.add(dir);
+    urlCount -= groups.get(dir).length;
   }
+
+  const sortedPaths = Array.from(pathDirs).sort(bySize);
+  const overflow = sortedPaths.slice(pathAvailable).flatMap(dir => groups.get(dir));
+  const remainingDirs = new Set(urlDirs);
+  const planned = urls.filter(url => remainingDirs.has(dirOf(url)));
+  const room = Math.max(0, urlAvailable - planned.length);
+  return {
+    urls: [...planned, ...overflow.slice(0, room)],
+    paths: sortedPaths.slice(0, pathAvailable).map(dir => ({ path: dir, count: groups.get(dir).length })),
+    skipped: overflow.slice(room)
+  };
 };
 
 /**
- * 刷新 CDN 缓存（分批 + 重试）
+ * 刷新 CDN 缓存（分批 + 重试），失败的批次记录后继续
  * @param {CommonClient} cdn - CDN 客户端
  * @param {Object} config - 配置对象
  * @param {string[]} urls - URL 数组
- * @returns {Promise<void>}
+ * @param {Object} [report] - 部署报告
+ * @param {Object} [progress] - 进度显示
+ * @returns {Promise<number>} 成功刷新的 URL 数量（目录刷新按其覆盖的 URL 计数，不含因配额不足未刷新的 URL）
  */
-const purgeCdnCache = async (cdn, config, urls) => {
-  for (let i = 0; i < urls.length; i += CDN_PURGE_BATCH_SIZE) {
-    const batchUrls = urls.slice(i, i + CDN_PURGE_BATCH_SIZE);
-    await withRetry(async () => {
-      await cdn.request('PurgeUrlsCache', { Urls: batchUrls });
-      log(config, 'CDN刷新', `提交 ${batchUrls.length} 个 URL`);
-    });
+const purgeCdnCache = async (cdn, config, urls, report = null, progress = null) => {
+  let quota = null;
+  try {
+    quota = await withRetry(() => getCdnPurgeQuota(cdn));
+    log(config, 'info', 'cdn', 'cdn.quota', quota);
+  } catch (error) {
+    log(config, 'warn', 'cdn', 'cdn.quotaFailed', {}, error);
+  }
+  const plan = planCdnPurge(urls, config, quota);
+  if (plan.paths.length) {
+    const count = plan.paths.reduce((sum, p) => sum + p.count, 0);
+    log(config, 'info', 'cdn', 'cdn.pathStrategy', { paths: plan.paths.length, count, urls: plan.urls.length });
+  }
+  if (plan.skipped.length) {
+    report?.purge.unpurged.push(...plan.skipped);
+    reportError(config, report, 'cdn', 'cdn.quotaExhausted', { count: plan.skipped.length, urls: plan.skipped.join('\n  ') });
+    progress?.tick(plan.skipped.length);
+  }
+
+  let refreshedCount = 0;
+  const urlBatchSize = quota?.urlBatch || CDN_PURGE_BATCH_SIZE;
+  for (let i = 0; i < plan.urls.length; i += urlBatchSize) {
+    const batchUrls = plan.urls.slice(i, i + urlBatchSize);
+    try {
+      const response = await withRetry(async () => {
+        const result = await cdn.request('PurgeUrlsCache', { Urls: batchUrls });
+        log(config, 'info', 'cdn', 'cdn.submitted', { count: batchUrls.length });
+        return result;
+      });
+      refreshedCount += batchUrls.length;
+      report?.purge.urls.push(...batchUrls);
+      report?.purge.tasks.push({ id: response?.TaskId, type: 'url', targets: batchUrls, status: 'submitted' });
+    } catch (error) {
+      reportError(config, report, 'cdn', 'cdn.failed', { count: batchUrls.length }, error);
+    }
+    progress?.tick(batchUrls.length);
+  }
+
+  const pathBatchSize = quota?.pathBatch || CDN_PATH_PURGE_BATCH_SIZE;
+  for (let i = 0; i < plan.paths.length; i += pathBatchSize) {
+    const batch = plan.paths.slice(i, i + pathBatchSize);
+    const batchPaths = batch.map(p => p.path);
+    const count = batch.reduce((sum, p) => sum + p.count, 0);
+    try {
+      const response = await withRetry(async () => {
+        // flush 只刷新目录下有更新的资源
+        const result = await cdn.request('PurgePathCache', { Paths: batchPaths, FlushType: 'flush' });
+        log(config, 'info', 'cdn', 'cdn.pathSubmitted', { count: batchPaths.length });
+        return result;
+      });
+      refreshedCount += count;
+      report?.purge.paths.push(...batchPaths);
+      report?.purge.tasks.push({ id: response?.TaskId, type: 'path', targets: batchPaths, counts: batch.map(p => p.count), status: 'submitted' });
+    } catch (error) {
+      reportError(config, report, 'cdn', 'cdn.pathFailed', { count: batchPaths.length }, error);
+    }
+    progress?.tick(count);
+  }
+  return refreshedCount;
+};
+
+/**
+ * 将 URL 归入 EdgeOne 站点
+ * cdn_domains 中配置了 zone_id 的域名直接使用；其它域名分页列举站点，按公共后缀规则找出主机名及其上级域名中
+ * 与站点名相同的站点（不超过可注册域名，如 blog.example.com.cn 只会匹配 blog.example.com.cn 或 example.com.cn），
+ * 再通过站点的加速域名列表确认，从最长的站点名开始
+ * @param {CommonClient} edgeone - EdgeOne 客户端
+ * @param {Object} config - 配置对象
+ * @param {string[]} urls - URL 数组
+ * @returns {Promise<Array<{ domain, zoneId, urls }>>} 未找到站点时 zoneId 为 undefined，domain 为主机名
+ */
+const groupEdgeOneZones = async (edgeone, config, urls) => {
+  const configured = new Map(config.cdnDomains.filter(d => d.zoneId).map(d => [new URL(d.domain).hostname, d.zoneId]));
+  const hostnames = Array.from(new Set(urls.map(u => new URL(u).hostname)));
+  const matches = new Map(hostnames.filter(h => configured.has(h)).map(h => [h, { zoneId: configured.get(h), domain: h }]));
+
+  const unresolved = hostnames.filter(h => !configured.has(h));
+  if (unresolved.length) {
+    const allZones = await requestAllPages(edgeone, 'DescribeZones', {}, 'Zones', EDGEONE_ZONES_PAGE_SIZE);
+    const zoneDomains = new Map();
+    for (const hostname of unresolved) {
+      const site = psl.get(hostname);
+      if (!site) continue;
+      const names = [];
+      for (let name = hostname; name.length >= site.length; name = name.slice(name.indexOf('.') + 1)) names.push(name);
+      const parent = hostname.slice(hostname.indexOf('.') + 1);
+      for (const zone of names.flatMap(name => allZones.filter(z => z.ZoneName === name))) {
+        if (!zoneDomains.has(zone.ZoneId)) {
+          const domains = await requestAllPages(edgeone, 'DescribeAccelerationDomains', { ZoneId: zone.ZoneId }, 'AccelerationDomains', EDGEONE_DOMAINS_PAGE_SIZE);
+          zoneDomains.set(zone.ZoneId, new Set(domains.map(d => d.DomainName)));
+        }
+        const domains = zoneDomains.get(zone.ZoneId);
+        if (domains.has(hostname) || domains.has(`*.${parent}`)) {
+          matches.set(hostname, { zoneId: zone.ZoneId, domain: zone.ZoneName });
+          break;
+        }
+      }
+    }
   }
+
+  const groups = new Map();
+  hostnames.forEach(hostname => {
+    const { zoneId, domain } = matches.get(hostname) || { domain: hostname };
+    const id = zoneId || `host:${hostname}`;
+    if (!groups.has(id)) groups.set(id, { domain, zoneId, urls: [] });
+    groups.get(id).urls.push(...urls.filter(u => new URL(u).hostname === hostname));
+  });
+  return Array.from(groups.values());
 };
 
 /**
@@ -270,43 +1633,32 @@ const purgeCdnCache = async (cdn, config, urls) => {
  * @param {CommonClient} edgeone - EdgeOne 客户端
  * @param {Object} config - 配置对象
  * @param {string[]} urls - URL 数组
+ * @param {Object} [report] - 部署报告，记录各 Zone 的刷新策略与配额
+ * @param {Object} [progress] - 进度显示
  * @returns {Promise<number>} 成功刷新的 URL 数量
  */
-const purgeEdgeOneCache = async (edgeone, config, urls) => {
+const purgeEdgeOneCache = async (edgeone, config, urls, report = null, progress = null) => {
   const invalidUrls = urls.filter(u => {
     try { new URL(u); return false; } catch { return true; }
   });
   if (invalidUrls.length) {
-    errorLog('EdgeOne', `无效的 URL: ${invalidUrls.join(', ')}`);
+    reportError(config, report, 'edgeone', 'edgeone.invalidUrls', { urls: invalidUrls.join(', ') });
     return 0;
   }
 
-  // 提取唯一主域名
-  const mainDomains = new Set(urls.map(u => {
-    const hostname = new URL(u).hostname;
-    return hostname.split('.').slice(-2).join('.');
-  }));
-
-  // 只调用一次 DescribeZones，缓存结果供所有域名使用
-  let allZones;
+  let zones;
   try {
-    const response = await edgeone.request("DescribeZones", {});
-    allZones = response?.Zones || [];
+    zones = await groupEdgeOneZones(edgeone, config, urls);
   } catch (error) {
-    errorLog('EdgeOne', '获取 Zone 列表失败:', error);
+    reportError(config, report, 'edgeone', 'edgeone.zonesFailed', {}, error);
     return 0;
   }
 
   let refreshedCount = 0;
 
-  for (const mainDomain of mainDomains) {
-    // 查找 ZoneId：优先精确匹配，其次后缀匹配
-    const zone = allZones.find(z => z.ZoneName === mainDomain)
-      || allZones.find(z => z.ZoneName.endsWith(`.${mainDomain}`));
-    const zoneId = zone?.ZoneId;
-
+  for (const { domain: mainDomain, zoneId, urls: domainUrls } of zones) {
     if (!zoneId) {
-      errorLog('EdgeOne', `未找到 ${mainDomain} 对应的 ZoneId，跳过该域名`);
+      reportError(config, report, 'edgeone', 'edgeone.zoneNotFound', { domain: mainDomain });
       continue;
     }
 
@@ -321,15 +1673,14 @@ const purgeEdgeOneCache = async (edgeone, config, urls) => {
         dailyAvailable: purgeUrlQuota?.DailyAvailable || 0
       };
     } catch (error) {
-      errorLog('EdgeOne', `ZoneId ${zoneId} 获取配额失败，跳过:`, error);
+      reportError(config, report, 'edgeone', 'edgeone.quotaFailed', { zoneId }, error);
       continue;
     }
 
-    log(config, 'EdgeOne', `Zone ${zoneId} 配额: 单次 ${quota.batchLimit} / 每日 ${quota.dailyLimit} / 剩余 ${quota.dailyAvailable}`);
+    log(config, 'debug', 'edgeone', 'edgeone.quota', { zoneId, batch: quota.batchLimit, daily: quota.dailyLimit, available: quota.dailyAvailable });
 
     const isFreePlan = quota.batchLimit === EDGEONE_PURGE_BATCH_SIZE;
     const batchSize = isFreePlan ? EDGEONE_PURGE_BATCH_SIZE : CDN_PURGE_BATCH_SIZE;
-    const domainUrls = urls.filter(u => new URL(u).hostname.endsWith(mainDomain));
 
     // 创建清除任务
     let tasks;
@@ -341,33 +1692,40 @@ const purgeEdgeOneCache = async (edgeone, config, urls) => {
         targets: [hostname],
         method: 'invalidate'
       }));
-      log(config, 'EdgeOne', `Zone ${zoneId} 策略: 主机名级刷新（免费版配额不足，${domainUrls.length} URL > ${quota.dailyAvailable} 剩余）`);
+      log(config, 'warn', 'edgeone', 'edgeone.hostStrategy', { zoneId, count: domainUrls.length, available: quota.dailyAvailable });
     } else {
       tasks = Array.from({ length: Math.ceil(domainUrls.length / batchSize) }, (_, i) => ({
         type: 'purge_url',
         targets: domainUrls.slice(i * batchSize, (i + 1) * batchSize),
         method: 'delete'
       }));
-      log(config, 'EdgeOne', `Zone ${zoneId} 策略: URL级刷新，${tasks.length} 个任务`);
+      log(config, 'info', 'edgeone', 'edgeone.urlStrategy', { zoneId, tasks: tasks.length });
     }
+    report?.zones.push({ zoneId, domain: mainDomain, strategy: tasks[0]?.type || 'purge_url', urls: domainUrls.length, quota });
 
     // 执行清除任务
     for (const task of tasks) {
       try {
-        await withRetry(async () => {
-          await edgeone.request("CreatePurgeTask", {
+        const response = await withRetry(async () => {
+          const result = await edgeone.request("CreatePurgeTask", {
             ZoneId: zoneId,
             Type: task.type,
             Targets: task.targets,
             Method: task.method || 'delete'
           });
-          log(config, 'EdgeOne', `缓存清除成功: Type=${task.type}, 数量=${task.targets.length}`);
+          log(config, 'debug', 'edgeone', 'edgeone.purged', { type: task.type, count: task.targets.length });
+          return result;
         });
         refreshedCount += task.targets.length;
+        report?.purge[task.type === 'purge_host' ? 'hosts' : 'urls'].push(...task.targets);
+        report?.purge.tasks.push({
+          id: response?.JobId, zoneId, type: task.type === 'purge_host' ? 'host' : 'url', targets: task.targets, status: 'submitted'
+        });
       } catch (error) {
-        errorLog('EdgeOne', `缓存清除失败（ZoneId: ${zoneId}）:`, error);
+        reportError(config, report, 'edgeone', 'edgeone.purgeFailed', { zoneId }, error);
       }
     }
+    progress?.tick(domainUrls.length);
   }
 
   return refreshedCount;
@@ -381,11 +1739,11 @@ const purgeEdgeOneCache = async (edgeone, config, urls) => {
  */
 const buildPurgeUrls = (changedFiles, config) => {
   const urls = [];
-  config.cdnDomains.forEach(({ domain, ignorePaths, ignoreExtensions }) => {
+  config.cdnDomains.forEach(({ domain, pathPrefix = '/', ignorePaths, ignoreExtensions }) => {
     changedFiles.forEach(file => {
       if (ignorePaths.some(p => p && (file.startsWith(p + '/') || file === p))) return;
       if (ignoreExtensions.includes(path.extname(file).toLowerCase())) return;
-      let urlFile = file === 'index.html' ? '/index.html' : file;
+      const urlFile = pathPrefix + file;
       const urlPath = config.refreshIndexPage && urlFile.endsWith('/index.html')
         ? urlFile.replace(/\/index\.html$/, '/')
         : urlFile;
@@ -396,88 +1754,1281 @@ const buildPurgeUrls = (changedFiles, config) => {
 };
 
 /**
- * 主逻辑：上传文件、同步远程文件、刷新缓存
- * @param {Object} config - 配置对象
- * @param {Object} clients - 客户端对象
- * @returns {Promise<void>}
+ * 按 prefetch 的过滤规则筛选需要预热的文件 Key
+ * @param {string[]} keys - 变更的文件 Key 数组
+ * @param {Object} prefetch - 预热配置
+ * @returns {string[]}
  */
-const main = async (config, clients) => {
-  const { cos, cdn, edgeone } = clients;
-  const pLimit = await getPLimit();
-  const limit = pLimit(config.concurrency);
-  const localFiles = await getFiles(config.uploadDir);
-  const localFileKeys = new Set(localFiles.map(filePath => path.relative(config.uploadDir, filePath).replace(/\\/g, '/')));
-
-  // 获取远程文件
-  const remoteFiles = config.removeRemoteFiles ? await listCosFiles(cos, config) : [];
-
-  // 上传变更文件（收集结果而非 push）
-  const results = await Promise.all(localFiles.map(filePath => limit(async () => {
-    const key = path.relative(config.uploadDir, filePath).replace(/\\/g, '/');
-    if (key.startsWith('..') || path.isAbsolute(key)) {
-      errorLog('上传', `跳过越界路径: ${filePath}`);
-      return null;
-    }
+const filterPrefetchKeys = (keys, { paths, extensions, ignorePaths, ignoreExtensions }) => {
+  const underPath = (key, p) => key.startsWith(p + '/') || key === p;
+  return keys.filter(key => {
+    const ext = path.extname(key).toLowerCase();
+    if (paths.length && !paths.some(p => underPath(key, p))) return false;
+    if (extensions.length && !extensions.includes(ext)) return false;
+    return !ignorePaths.some(p => underPath(key, p)) && !ignoreExtensions.includes(ext);
+  });
+};
 
-    const localMD5 = await calculateMD5(filePath);
-    if (!localMD5) return null;
+/**
+ * 按配额分批提交预热任务；超出剩余配额或提交失败只输出警告，不影响部署结果
+ * @param {Object} config - 配置对象
+ * @param {string[]} urls - URL 数组
+ * @param {Object} quota - { batch, available }
+ * @param {Function} submit - 提交一批 URL 的函数
+ * @param {Object} [report] - 部署报告
+ * @param {Object} [progress] - 进度显示
+ * @returns {Promise<number>} 成功提交的 URL 数量
+ */
+const submitPrefetch = async (config, urls, quota, submit, report = null, progress = null) => {
+  const allowed = urls.slice(0, quota.available);
+  const skipped = urls.slice(allowed.length);
+  if (skipped.length) {
+    log(config, 'warn', 'prefetch', 'prefetch.quotaExhausted', { count: skipped.length, available: quota.available });
+    report?.prefetch.skipped.push(...skipped);
+    progress?.tick(skipped.length);
+  }
 
+  let prefetchedCount = 0;
+  for (let i = 0; i < allowed.length; i += quota.batch) {
+    const batchUrls = allowed.slice(i, i + quota.batch);
     try {
-      const data = await cos.headObject({ Bucket: config.bucket, Region: config.region, Key: key });
-      if (data.ETag?.replace(/"/g, '') === localMD5) return null;
+      await withRetry(() => submit(batchUrls));
+      log(config, 'info', 'prefetch', 'prefetch.submitted', { count: batchUrls.length });
+      prefetchedCount += batchUrls.length;
+      report?.prefetch.urls.push(...batchUrls);
     } catch (error) {
-      if (error.statusCode !== 404) throw error;
+      log(config, 'warn', 'prefetch', 'prefetch.failed', { count: batchUrls.length }, error);
+      report?.prefetch.failed.push(...batchUrls);
     }
+    progress?.tick(batchUrls.length);
+  }
+  return prefetchedCount;
+};
 
-    await uploadFile(cos, config, key, filePath);
-    return key;
-  })));
-  const changedFiles = results.filter(Boolean);
-
-  // 删除多余远程文件
-  let deletedCount = 0;
-  if (config.removeRemoteFiles) {
-    const filesToDelete = remoteFiles.filter(key => !localFileKeys.has(key));
-    deletedCount = filesToDelete.length;
-    log(config, '同步', `远程 ${remoteFiles.length} 个文件，本地 ${localFileKeys.size} 个文件，待删除 ${deletedCount} 个`);
-    if (config.enableLog && deletedCount > 0) {
-      filesToDelete.forEach(key => log(config, '删除', key));
-    }
-    await deleteCosFiles(cos, config, filesToDelete);
+/**
+ * 查询预热配额，失败时使用默认批量大小且不限制数量
+ * @param {Object} config - 配置对象
+ * @param {Function} query - 返回 { batch, available } 的函数
+ * @returns {Promise<Object>}
+ */
+const getPrefetchQuota = async (config, query) => {
+  try {
+    const quota = await withRetry(query);
+    log(config, 'info', 'prefetch', 'prefetch.quota', quota);
+    return quota;
+  } catch (error) {
+    log(config, 'warn', 'prefetch', 'prefetch.quotaFailed', {}, error);
+    return { batch: PREFETCH_BATCH_SIZE, available: Infinity };
   }
+};
 
-  // 刷新缓存
-  let refreshedCount = 0;
-  if (config.cdnDomains.length && changedFiles.length) {
-    const urls = buildPurgeUrls(changedFiles, config);
+/**
+ * 预热 CDN 缓存（PushUrlsCache）
+ * @param {CommonClient} cdn - CDN 客户端
+ * @param {Object} config - 配置对象
+ * @param {string[]} urls - URL 数组
+ * @param {Object} [report] - 部署报告
+ * @param {Object} [progress] - 进度显示
+ * @returns {Promise<number>} 成功提交的 URL 数量
+ */
+const prefetchCdnCache = async (cdn, config, urls, report = null, progress = null) => {
+  const quota = await getPrefetchQuota(config, async () => {
+    const list = (await cdn.request('DescribePushQuota', {}))?.UrlPush;
+    // 境内、境外区域取较小值
+    return {
+      batch: list?.length ? Math.min(...list.map(q => q.Batch)) : PREFETCH_BATCH_SIZE,
+      available: list?.length ? Math.min(...list.map(q => q.Available)) : Infinity
+    };
+  });
+  return submitPrefetch(config, urls, quota, batchUrls => cdn.request('PushUrlsCache', { Urls: batchUrls }), report, progress);
+};
+
+/**
+ * 预热 EdgeOne 缓存（CreatePrefetchTask），按站点分别查询配额
+ * @param {CommonClient} edgeone - EdgeOne 客户端
+ * @param {Object} config - 配置对象
+ * @param {string[]} urls - URL 数组
+ * @param {Object} [report] - 部署报告
+ * @param {Object} [progress] - 进度显示
+ * @returns {Promise<number>} 成功提交的 URL 数量
+ */
+const prefetchEdgeOneCache = async (edgeone, config, urls, report = null, progress = null) => {
+  let zones;
+  try {
+    zones = await groupEdgeOneZones(edgeone, config, urls);
+  } catch (error) {
+    log(config, 'warn', 'prefetch', 'prefetch.zonesFailed', {}, error);
+    report?.prefetch.failed.push(...urls);
+    return 0;
+  }
 
-    if (config.cache_type === 'cdn') {
-      await purgeCdnCache(cdn, config, urls);
-      refreshedCount = urls.length;
-    } else if (config.cache_type === 'edgeone') {
-      refreshedCount = await purgeEdgeOneCache(edgeone, config, urls);
+  let prefetchedCount = 0;
+  for (const { domain, zoneId, urls: domainUrls } of zones) {
+    if (!zoneId) {
+      log(config, 'warn', 'prefetch', 'prefetch.zoneNotFound', { domain });
+      report?.prefetch.failed.push(...domainUrls);
+      progress?.tick(domainUrls.length);
+      continue;
     }
+    const quota = await getPrefetchQuota(config, async () => {
+      const response = await edgeone.request('DescribeContentQuota', { ZoneId: zoneId });
+      const prefetchQuota = (response?.PrefetchQuota || []).find(q => q.Type === 'prefetch_url');
+      return { batch: prefetchQuota?.Batch || PREFETCH_BATCH_SIZE, available: prefetchQuota?.DailyAvailable ?? Infinity };
+    });
+    prefetchedCount += await submitPrefetch(config, domainUrls, quota,
+      batchUrls => edgeone.request('CreatePrefetchTask', { ZoneId: zoneId, Targets: batchUrls }), report, progress);
   }
+  return prefetchedCount;
+};
 
-  log(config, '部署', `上传: ${changedFiles.length} 个文件 | 删除: ${deletedCount} 个文件 | 刷新: ${refreshedCount} 个 URL`);
-  log(config, '部署', '完成！');
+/**
+ * 打印部署计划（dry-run 模式），不受 log_level 限制
+ * @param {Object} config - 配置对象
+ * @param {Array<[string, string[], string?]>} groups - [分组标题 ID, 条目数组, 目标名] 列表，如上传、删除、刷新
+ */
+const printPlan = (config, groups) => {
+  config.logger.info(`[${t(config, 'scope.preview')}] ${t(config, 'preview.notice')}`);
+  groups.forEach(([title, items, target]) => {
+    const heading = `${target ? `[${target}] ` : ''}${t(config, 'plan.group', { title: t(config, title), count: items.length })}`;
+    config.logger.info([heading, ...items.map(item => `  ${item}`)].join('\n'));
+  });
 };
 
 /**
- * Hexo 部署入口
- * @param {Object} hexo - Hexo 实例
+ * 创建部署报告
+ * @param {Object} config - 配置对象
+ * @returns {Object} 报告对象，部署过程中逐步填充
  */
-module.exports = async function () {
-  const hexo = this;
-  const config = validateConfig(hexo);
-  if (!config) return;
+const createReport = (config) => ({
+  bucket: config.bucket,
+  region: config.region,
+  remoteDir: config.remotePrefix,
+  // 多目标部署时各目标的结果，顶层的 uploaded / skipped / deleted 为所有目标的汇总
+  ...(config.targets && {
+    targets: config.targets.map(({ target, bucket, region, remotePrefix }) => ({
+      name: target, bucket, region, remoteDir: remotePrefix, success: false, uploaded: [], skipped: [], deleted: []
+    }))
+  }),
+  dryRun: config.dryRun,
+  startedAt: new Date().toISOString(),
+  finishedAt: null,
+  durationMs: 0,
+  success: false,
+  uploaded: [],
+  skipped: [],
+  deleted: [],
+  purge: { type: config.cache_type, urls: [], paths: [], hosts: [], unpurged: [], tasks: [] },
+  prefetch: { urls: [], skipped: [], failed: [] },
+  zones: [],
+  timings: [],
+  errors: []
+});
 
-  const clients = initClients(config);
+/**
+ * 执行部署步骤并将耗时记录到报告（失败时同样记录）
+ * @param {Object} report - 部署报告
+ * @param {string} stage - 步骤名称
+ * @param {Function} fn - 返回 Promise 的函数
+ * @returns {Promise<any>}
+ */
+const timeStage = async (report, stage, fn) => {
+  const start = Date.now();
   try {
-    await main(config, clients);
-  } catch (error) {
-    errorLog('部署', '失败:', error);
+    return await fn();
+  } finally {
+    report.timings.push({ stage, durationMs: Date.now() - start });
+  }
+};
+
+/**
+ * 打印错误日志并记录到报告，按日志前缀归入 upload / delete / purge / deploy 步骤（对应 fail_on）
+ * @param {Object} config - 配置对象
+ * @param {Object|null} report - 部署报告
+ * @param {string} scope - 日志前缀 ID
+ * @param {string} id - 消息 ID
+ * @param {Object} [params] - 占位符参数，params.key 作为相关文件 Key 记录
+ * @param {Error} [error] - 错误对象
+ */
+const reportError = (config, report, scope, id, params = {}, error = null) => {
+  errorLog(config, scope, id, params, error);
+  report?.errors.push({
+    stage: SCOPE_STAGES[scope] || 'deploy',
+    source: t(config, `scope.${scope}`),
+    message: t(config, id, params).trim(),
+    ...(config.target && { target: config.target }),
+    ...(params.key && { key: params.key }),
+    ...(error && { error: error.message || String(error) })
+  });
+};
+
+/**
+ * 转义 XML 特殊字符
+ * @param {any} value - 原始值
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+})[char]);
+
+/**
+ * 生成 JUnit 摘要：每个部署步骤为一个用例，每个错误为一个失败用例
+ * @param {Object} report - 部署报告
+ * @returns {string}
+ */
+const formatJUnit = (report) => {
+  const cases = [
+    ...report.timings.map(({ stage, durationMs }) =>
+      `    <testcase classname="deploy" name="${escapeXml(stage)}" time="${durationMs / 1000}"/>`),
+    ...report.errors.map(({ source, message, key, error }) => [
+      `    <testcase classname="deploy.${escapeXml(source)}" name="${escapeXml(key || message)}">`,
+      `      <failure message="${escapeXml(message)}">${escapeXml(error || message)}</failure>`,
+      '    </testcase>'
+    ].join('\n'))
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites>',
+    `  <testsuite name="hexo-deployer-tencent" tests="${cases.length}" failures="${report.errors.length}" time="${report.durationMs / 1000}" timestamp="${report.startedAt}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * 生成 Markdown 摘要
+ * @param {Object} report - 部署报告
+ * @param {Object} config - 配置对象，决定摘要语言
+ * @returns {string}
+ */
+const formatMarkdown = (report, config) => {
+  const lines = [
+    `## ${t(config, 'report.title')}${report.dryRun ? t(config, 'report.dryRun') : ''}`,
+    '',
+    ...(report.targets
+      ? report.targets.map(({ name, bucket, region, success }) => `- ${t(config, 'report.target', {
+        name, bucket, region, result: t(config, success ? 'report.success' : 'report.failure')
+      })}`)
+      : [`- ${t(config, 'report.bucket', { bucket: report.bucket, region: report.region })}`]),
+    `- ${t(config, 'report.result', {
+      result: t(config, report.success ? 'report.success' : 'report.failure'),
+      duration: (report.durationMs / 1000).toFixed(1)
+    })}`,
+    '',
+    t(config, 'report.counts'),
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    `| ${report.uploaded.length} | ${report.skipped.length} | ${report.deleted.length} | ${report.purge.urls.length} | ${report.purge.paths.length} | ${report.purge.hosts.length} | ${report.errors.length} |`
+  ];
+  if (report.timings.length) {
+    lines.push('', t(config, 'report.timings'), '| --- | --- |', ...report.timings.map(({ stage, durationMs }) => `| ${stage} | ${durationMs} |`));
+  }
+  if (report.errors.length) {
+    lines.push('', `### ${t(config, 'report.errors')}`, '', ...report.errors.map(({ source, message, error }) =>
+      `- [${source}] ${message}${error ? ` ${error}` : ''}`));
   }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * 按 fail_on 汇总错误：上传、删除、刷新的错误按配置决定是否导致部署失败，
+ * 其它意外错误（deploy）除 fail_on: none 外均视为失败
+ * @param {Object} config - 配置对象
+ * @param {Object[]} errors - 报告中的错误记录
+ * @returns {AggregateError|null} 需要抛给 Hexo 的汇总错误
+ */
+const collectFailures = (config, errors) => {
+  const failures = errors.filter(({ stage }) => (stage === 'deploy' ? config.failOn.length > 0 : config.failOn.includes(stage)));
+  if (!failures.length) return null;
+
+  const counts = [...FAIL_ON_STAGES, 'deploy']
+    .map(stage => [stage, failures.filter(f => f.stage === stage).length])
+    .filter(([, count]) => count)
+    .map(([stage, count]) => t(config, 'failure.count', { stage: t(config, `stage.${stage}`), count }));
+  const lines = failures.slice(0, 20).map(({ stage, message, error }) => `  - [${stage}] ${message}${error ? ` ${error}` : ''}`);
+  if (failures.length > 20) lines.push(`  - ${t(config, 'failure.more', { count: failures.length - 20 })}`);
+  const summary = t(config, 'failure.summary', { counts: counts.join(t(config, 'failure.separator')) });
+  return new AggregateError(failures, `${summary}\n${lines.join('\n')}`);
+};
+
+/**
+ * 写入部署报告：JSON 写入 report_file，摘要写入同目录下同名的 .xml / .md 文件
+ * @param {Object} config - 配置对象
+ * @param {Object} report - 部署报告
+ * @returns {Promise<void>}
+ */
+const writeReport = async (config, report) => {
+  if (!config.reportFile) return;
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+
+  const { dir, name } = path.parse(config.reportFile);
+  const formatters = { junit: formatJUnit, markdown: formatMarkdown };
+  const outputs = [
+    [config.reportFile, `${JSON.stringify(report, null, 2)}\n`],
+    ...config.reportSummary.map(format => [path.join(dir, name + REPORT_SUMMARY_FORMATS[format]), formatters[format](report, config)])
+  ];
+  try {
+    await fsPromises.mkdir(dir, { recursive: true });
+    for (const [file, content] of outputs) {
+      await fsPromises.writeFile(file, content);
+      log(config, 'info', 'report', 'report.written', { file });
+    }
+  } catch (error) {
+    errorLog(config, 'report', 'report.writeFailed', {}, error);
+  }
+};
+
+/**
+ * 扫描本地文件：计算 MD5 并解析上传头部
+ * @param {Object} config - 配置对象
+ * @param {string[]} localFiles - 本地文件路径数组
+ * @param {Object} manifest - 部署清单（多目标部署时为各目标清单的合并）
+ * @param {Function} limit - p-limit 并发控制
+ * @returns {Promise<Object[]>} 文件条目数组
+ */
+const scanLocalFiles = async (config, localFiles, manifest, limit) => {
+  const progress = createProgress(config, 'scan', localFiles.length);
+  let entries;
+  try {
+    entries = await Promise.all(localFiles.map(filePath => limit(async () => {
+      const key = path.relative(config.uploadDir, filePath).replace(/\\/g, '/');
+      if (key.startsWith('..') || path.isAbsolute(key)) {
+        log(config, 'warn', 'upload', 'upload.outOfRoot', { path: filePath });
+        return null;
+      }
+
+      const stat = await fsPromises.stat(filePath);
+      const cached = manifest[key];
+      const unchanged = cached && cached.size === stat.size && cached.mtime === stat.mtimeMs;
+      const localMD5 = unchanged ? cached.md5 : await calculateMD5(filePath);
+      if (!localMD5) return null;
+      const encoding = getContentEncoding(config, key, stat.size);
+      const headers = resolveHeaders(config, key, encoding);
+      const headersMd5 = hashHeaders(headers);
+      const record = config.manifest ? { size: stat.size, mtime: stat.mtimeMs, md5: localMD5, headersMd5 } : null;
+      progress.tick();
+      return { key, filePath, size: stat.size, localMD5, encoding, headers, headersMd5, record };
+    })));
+  } finally {
+    progress.done();
+  }
+  return entries.filter(Boolean);
+};
+
+/**
+ * 将旧路径转换为重定向对象的 Key：以 / 结尾的目录路径对应其索引文档
+ * @param {Object} config - 配置对象
+ * @param {string} from - 旧路径
+ * @returns {string}
+ */
+const toRedirectKey = (config, from) => {
+  const key = normalizePattern(from);
+  return !key || key.endsWith('/') ? `${key}${config.website?.IndexDocument?.Suffix || DEFAULT_INDEX_DOCUMENT}` : key;
+};
+
+/**
+ * 读取重定向规则：先读取 upload_dir 中的 redirects_file（每行 `旧路径 新地址 [状态码]`），redirects 配置覆盖同名路径
+ * @param {Object} config - 配置对象
+ * @returns {Promise<Map<string, string>>} Key → 重定向地址
+ */
+const loadRedirects = async (config) => {
+  const rules = [];
+  if (config.redirectsFile) {
+    try {
+      const lines = (await fsPromises.readFile(path.join(config.uploadDir, config.redirectsFile), 'utf8')).split(/\r?\n/);
+      lines.forEach((line, index) => {
+        const content = line.trim();
+        if (!content || content.startsWith('#')) return;
+        const [from, location, status, ...conditions] = content.split(/\s+/);
+        if (!location || !REDIRECT_LOCATION_PATTERN.test(location) || from.split('/').some(segment => segment === '..' || segment === '.')) {
+          log(config, 'warn', 'redirect', 'redirect.invalidLine', { file: config.redirectsFile, line: index + 1, content });
+          return;
+        }
+        // 重定向对象只能表达单个路径的 3xx 跳转：改写（200）、通配符、占位符与条件规则无法对应到对象
+        if ((status && !REDIRECT_STATUS_PATTERN.test(status)) || conditions.length || [from, location].some(value => REDIRECT_PLACEHOLDER_PATTERN.test(value))) {
+          log(config, 'warn', 'redirect', 'redirect.unsupportedLine', { file: config.redirectsFile, line: index + 1, content });
+          return;
+        }
+        rules.push([from, location]);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      log(config, 'warn', 'redirect', 'redirect.fileMissing', { file: config.redirectsFile });
+    }
+  }
+  rules.push(...Object.entries(config.redirects));
+  const redirects = new Map(rules.map(([from, location]) => [toRedirectKey(config, from), location]));
+  if (redirects.size) log(config, 'debug', 'redirect', 'redirect.loaded', { count: redirects.size });
+  return redirects;
+};
+
+/**
+ * 为重定向规则生成文件条目，与本地文件一起参与比对、上传、清单与缓存刷新
+ * @param {Object} config - 配置对象
+ * @param {Map<string, string>} redirects - Key → 重定向地址
+ * @param {Set<string>} localFileKeys - 本地文件 Key 集合，同名本地文件优先
+ * @returns {Object[]} 文件条目数组
+ */
+const buildRedirectEntries = (config, redirects, localFileKeys) => Array.from(redirects).filter(([key, location]) => {
+  if (!localFileKeys.has(key)) return true;
+  log(config, 'warn', 'redirect', 'redirect.conflict', { key, location });
+  return false;
+}).map(([key, location]) => {
+  const headers = { [REDIRECT_HEADER]: location };
+  const headersMd5 = hashHeaders(headers);
+  const record = config.manifest ? { size: 0, md5: EMPTY_MD5, headersMd5 } : null;
+  return { key, filePath: null, size: 0, localMD5: EMPTY_MD5, encoding: null, headers, headersMd5, redirect: location, record };
+});
+
+/**
+ * 将被授权者转为 COS 返回的完整形式：id="100000000001" → qcs::cam::uin/100000000001:uin/100000000001
+ * @param {string} grantee - 被授权者，如 id="..." 或 ACL 中的 ID
+ * @returns {string}
+ */
+const toCanonicalGrantee = (grantee) => {
+  const id = grantee.replace(/^id="(.*)"$/, '$1');
+  return /^\d+$/.test(id) ? `qcs::cam::uin/${id}:uin/${id}` : id;
+};
+
+/**
+ * 检查远程文件的存储类型与权限是否仍与规则一致：只检查规则指定的项，权限需额外调用 getObjectAcl
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {Object} entry - 文件条目
+ * @param {Object} remote - 远程文件信息
+ * @returns {Promise<boolean>} 不一致时返回 true
+ */
+const isStorageDrifted = async (cos, config, { key, headers }, remote) => {
+  const expected = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const storageClass = expected['x-cos-storage-class'];
+  if (storageClass && (remote.storageClass || 'STANDARD') !== storageClass) return true;
+
+  // default 表示继承存储桶权限，无法从对象 ACL 中区分，不做检查
+  const acl = expected['x-cos-acl'] === 'default' ? undefined : expected['x-cos-acl'];
+  const grants = Object.values(ACL_GRANTS).filter(([header]) => expected[header]);
+  if (!acl && !grants.length) return false;
+  const data = await withRetry(() => cos.getObjectAcl({ Bucket: config.bucket, Region: config.region, Key: toCosKey(config, key) }));
+  // getObjectAcl 返回的授权已去掉存储桶所有者，比对前同样去掉
+  const owner = data.Owner?.ID ? toCanonicalGrantee(data.Owner.ID) : null;
+  const normalizeGrantees = (value) => [...new Set([].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(toCanonicalGrantee)
+    .filter(grantee => grantee !== owner))].sort().join(',');
+  if (acl && data.ACL !== acl) return true;
+  return grants.some(([header, field]) => normalizeGrantees(expected[header]) !== normalizeGrantees(data[field]));
+};
+
+/**
+ * 与远程文件比对，确定每个文件的操作
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {Object} entry - 文件条目
+ * @param {Map|null} remoteObjects - 列举结果，为 null 时逐个 headObject
+ * @param {string} [recordedHeadersMd5] - 部署清单或上一个发布中记录的头部指纹
+ * @returns {Promise<Object>} { action: 'skip' | 'copy' | 'upload', remote }
+ */
+const compareEntry = async (cos, config, entry, remoteObjects, recordedHeadersMd5) => {
+  const { key, localMD5, encoding, headersMd5, redirect } = entry;
+  // 上次部署记录的头部指纹与本次不同（如移除了全部 headers 规则）时，远程对象可能仍带有旧头部
+  const headersChanged = Boolean(recordedHeadersMd5) && recordedHeadersMd5 !== headersMd5;
+  const hasHeaderRules = config.headerRules.length > 0 || config.storageRules.length > 0 || Boolean(config.compress) || Boolean(redirect) || headersChanged;
+  let remote = remoteObjects ? remoteObjects.get(key) : await headRemoteObject(cos, config, key);
+  // 列举结果不含元数据：分块上传或预压缩文件的 ETag 不是原始 MD5，配置了头部规则时还需核对头部指纹
+  if (remote?.partial && (remote.md5 === undefined || (remote.md5 === localMD5 ? hasHeaderRules : Boolean(encoding)))) {
+    remote = await headRemoteObject(cos, config, key);
+  }
+  if (remote?.md5 === localMD5 && remote.headersMd5 === headersMd5) {
+    // 头部指纹一致，但存储类型或权限已被外部修改（生命周期规则、控制台等）时复制到自身修正
+    if (!await isStorageDrifted(cos, config, entry, remote)) return { action: 'skip', remote };
+    log(config, 'debug', 'compare', 'compare.storageDrifted', { key });
+    return { action: redirect ? 'upload' : 'copy', remote };
+  }
+  // 内容与编码未变、仅头部规则变化时，服务端复制更新头部；重定向对象为空文件，直接重新创建
+  if (remote?.md5 === localMD5 && remote.encoding === encoding && !redirect) return { action: 'copy', remote };
+  return { action: 'upload', remote };
+};
+
+/**
+ * 按 upload_phases 将待上传文件分组：未匹配任何阶段的文件（静态资源）最先上传
+ * @param {Object} config - 配置对象
+ * @param {Object[]} tasks - 待上传条目（含 key）
+ * @returns {Object[][]} 按上传顺序排列的分组，不含空分组
+ */
+const splitPhases = (config, tasks) => {
+  const phases = [[], ...config.uploadPhases.map(() => [])];
+  tasks.forEach(task => {
+    const index = config.uploadPhases.findIndex(patterns => matchAny(task.key, patterns));
+    phases[index + 1].push(task);
+  });
+  return phases.filter(phase => phase.length);
+};
+
+/**
+ * 执行一个上传阶段：等待阶段内所有任务结束，任一失败则抛出，阻止后续阶段
+ * @param {Object} config - 配置对象
+ * @param {Object[]} tasks - 阶段内的任务
+ * @param {Function} fn - 处理单个任务的函数
+ * @param {Function} limit - p-limit 并发控制
+ * @returns {Promise<void>}
+ */
+const runPhase = async (config, tasks, fn, limit) => {
+  const results = await Promise.allSettled(tasks.map(task => limit(() => fn(task))));
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length) {
+    errorLog(config, 'upload', 'upload.phaseFailed', { count: failed.length });
+    // 标记为上传错误：各文件的失败已逐个记录，入口不再重复记录
+    throw Object.assign(failed[0].reason, { stage: 'upload' });
+  }
+};
+
+/**
+ * 查询刷新任务中各目标的状态（done / failed / processing），分页读取全部记录
+ * @param {Object} clients - 客户端对象
+ * @param {Object} config - 配置对象
+ * @param {Object} task - 部署报告中的刷新任务
+ * @returns {Promise<Map<string, string>>} 目标 → 状态
+ */
+const describePurgeTask = async (clients, config, task) => {
+  const records = config.cache_type === 'cdn'
+    ? (await requestAllPages(clients.cdn, 'DescribePurgeTasks', { TaskId: task.id }, 'PurgeLogs', PURGE_TASKS_PAGE_SIZE))
+      .map(({ Url, Status }) => [Url, CDN_TASK_STATUSES[Status]])
+    : (await requestAllPages(clients.edgeone, 'DescribePurgeTasks', {
+      ZoneId: task.zoneId,
+      Filters: [{ Name: 'job-id', Values: [task.id] }]
+    }, 'Tasks', PURGE_TASKS_PAGE_SIZE)).map(({ Target, Status }) => [Target, EDGEONE_TASK_STATUSES[Status]]);
+  return new Map(records.map(([target, status]) => [target, status || 'processing']));
+};
+
+/**
+ * 轮询刷新任务直到全部结束或超时，失败与超时的目标计入 purge 错误并从报告的刷新结果中移除
+ * @param {Object} clients - 客户端对象
+ * @param {Object} config - 配置对象
+ * @param {Object} report - 部署报告
+ * @returns {Promise<number>} 未成功刷新的 URL 数量（目录按其覆盖的 URL 计数）
+ */
+const waitForPurgeTasks = async (clients, config, report) => {
+  const { timeout, interval } = config.waitForPurge;
+  const scope = config.cache_type;
+  const deadline = Date.now() + timeout;
+  let pending = report.purge.tasks.filter(task => task.id && task.status === 'submitted');
+  if (!pending.length) return 0;
+  log(config, 'info', 'purge', 'purge.waiting', { count: pending.length, timeout: formatDuration(timeout) });
+
+  const results = new Map();
+  while (pending.length) {
+    for (const task of pending) {
+      try {
+        results.set(task, await withRetry(() => describePurgeTask(clients, config, task)));
+      } catch (error) {
+        log(config, 'warn', 'purge', 'purge.queryFailed', { id: task.id }, error);
+      }
+    }
+    pending = pending.filter(task => task.targets.some(target => (results.get(task)?.get(target) || 'processing') === 'processing'));
+    if (!pending.length || Date.now() >= deadline) break;
+    await new Promise(resolve => setTimeout(resolve, Math.min(interval, deadline - Date.now())));
+  }
+
+  let unpurgedCount = 0;
+  const removed = { url: new Set(), path: new Set(), host: new Set() };
+  report.purge.tasks.filter(task => task.id && task.status === 'submitted').forEach(task => {
+    const statuses = task.targets.map(target => results.get(task)?.get(target) || 'processing');
+    task.failed = task.targets.filter((_, i) => statuses[i] !== 'done');
+    task.status = statuses.includes('processing') ? 'timeout' : (task.failed.length ? 'failed' : 'done');
+    if (!task.failed.length) return;
+    task.targets.forEach((target, i) => {
+      if (statuses[i] === 'done') return;
+      removed[task.type].add(target);
+      unpurgedCount += task.counts?.[i] ?? 1;
+    });
+    reportError(config, report, scope, task.status === 'timeout' ? 'purge.taskTimeout' : 'purge.taskFailed', {
+      id: task.id, count: task.failed.length, targets: task.failed.join('\n  ')
+    });
+  });
+  report.purge.urls = report.purge.urls.filter(url => !removed.url.has(url));
+  report.purge.paths = report.purge.paths.filter(p => !removed.path.has(p));
+  report.purge.hosts = report.purge.hosts.filter(host => !removed.host.has(host));
+
+  const count = status => report.purge.tasks.filter(task => task.status === status).length;
+  log(config, 'info', 'purge', 'purge.tasksSummary', { done: count('done'), failed: count('failed'), timeout: count('timeout') });
+  return unpurgedCount;
+};
+
+/**
+ * 刷新变更文件对应的缓存
+ * @param {Object} clients - 客户端对象
+ * @param {Object} config - 配置对象
+ * @param {string[]} urls - 由 buildPurgeUrls 构建的 URL 数组，多目标部署时为各目标合并去重后的结果
+ * @param {Object} [report] - 部署报告，记录刷新任务
+ * @returns {Promise<number>} 成功刷新的 URL 数量（开启 wait_for_purge 时不含未完成的任务）
+ */
+const purgeCache = async (clients, config, urls, report = createReport(config)) => {
+  if (!urls.length) return 0;
+  const progress = createProgress(config, 'purge', urls.length);
+
+  let refreshedCount;
+  try {
+    refreshedCount = config.cache_type === 'cdn'
+      ? await purgeCdnCache(clients.cdn, config, urls, report, progress)
+      : await purgeEdgeOneCache(clients.edgeone, config, urls, report, progress);
+  } finally {
+    progress.done();
+  }
+  if (!config.waitForPurge) return refreshedCount;
+  return refreshedCount - await waitForPurgeTasks(clients, config, report);
+};
+
+/**
+ * 预热已刷新的变更 URL：只预热本次刷新成功覆盖（URL、目录或主机名）的 URL
+ * @param {Object} clients - 客户端对象
+ * @param {Object} config - 配置对象
+ * @param {string[]} candidates - 按 prefetch 规则过滤后的变更文件 URL 数组
+ * @param {Object} report - 部署报告，从中读取刷新结果
+ * @returns {Promise<number>} 成功提交预热的 URL 数量
+ */
+const prefetchCache = async (clients, config, candidates, report) => {
+  const purgedUrls = new Set(report.purge.urls);
+  const purgedHosts = new Set(report.purge.hosts);
+  const urls = candidates.filter(url =>
+    purgedUrls.has(url) || purgedHosts.has(new URL(url).hostname) || report.purge.paths.some(p => url.startsWith(p)));
+  if (!urls.length) return 0;
+  const progress = createProgress(config, 'prefetch', urls.length);
+
+  try {
+    return config.cache_type === 'cdn'
+      ? await prefetchCdnCache(clients.cdn, config, urls, report, progress)
+      : await prefetchEdgeOneCache(clients.edgeone, config, urls, report, progress);
+  } finally {
+    progress.done();
+  }
+};
+
+/**
+ * 列出静态网站配置的差异
+ * @param {Object} current - 当前配置（已整理）
+ * @param {Object} desired - 目标配置（已整理）
+ * @returns {string[]} 形如 `IndexDocument.Suffix: a → b` 的差异列表，无差异时为空
+ */
+const diffWebsite = (current, desired) => {
+  const flatten = (value, prefix = '') => (value && typeof value === 'object'
+    ? Object.entries(value).flatMap(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key))
+    : [[prefix, value]]);
+  const before = new Map(flatten(current));
+  const after = new Map(flatten(desired));
+  return [...new Set([...before.keys(), ...after.keys()])]
+    .filter(key => before.get(key) !== after.get(key))
+    .map(key => `${key}: ${before.get(key) ?? '-'} → ${after.get(key) ?? '-'}`);
+};
+
+/**
+ * 同步存储桶的静态网站配置：与 getBucketWebsite 的结果不同时才调用 putBucketWebsite
+ * 只替换 website 管理的字段，其它设置原样写回；重定向规则整体由 website 配置决定，
+ * 存储桶中有而配置中没有的规则（如在控制台添加的）会被移除，写入前给出警告
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @returns {Promise<string[]>} 差异列表，dry-run 模式下只比较不写入
+ */
+const syncWebsite = async (cos, config) => {
+  const data = await withRetry(() => cos.getBucketWebsite({ Bucket: config.bucket, Region: config.region }));
+  const current = data?.WebsiteConfiguration || {};
+  const normalized = normalizeWebsite(current);
+  const changes = diffWebsite(normalized, config.website);
+  if (!changes.length) {
+    log(config, 'debug', 'website', 'website.unchanged');
+    return changes;
+  }
+
+  const desiredRules = new Set((config.website.RoutingRules || []).map(rule => JSON.stringify(rule)));
+  const droppedRules = (normalized.RoutingRules || []).map(rule => JSON.stringify(rule)).filter(rule => !desiredRules.has(rule));
+  if (droppedRules.length) {
+    log(config, 'warn', 'website', 'website.rulesDropped', { count: droppedRules.length, rules: droppedRules.join('\n  ') });
+  }
+  if (!config.dryRun) {
+    const unmanaged = Object.fromEntries(Object.entries(current).filter(([key]) => !MANAGED_WEBSITE_FIELDS.includes(key)));
+    await withRetry(() => cos.putBucketWebsite({ Bucket: config.bucket, Region: config.region, WebsiteConfiguration: { ...unmanaged, ...config.website } }));
+    log(config, 'info', 'website', 'website.updated', { changes: changes.join('\n  ') });
+  }
+  return changes;
+};
+
+// 上一次发布的时间戳，保证同一进程内连续生成的发布 ID 严格递增
+let lastReleaseTime = 0;
+
+/**
+ * 生成发布 ID：毫秒级时间戳 + 随机后缀，按字典序排列即为发布顺序
+ * @returns {string}
+ */
+const createReleaseId = () => {
+  lastReleaseTime = Math.max(Date.now(), lastReleaseTime + 1);
+  return `${new Date(lastReleaseTime).toISOString().replace(/[-:T.]/g, '').slice(0, 17)}-${crypto.randomBytes(2).toString('hex')}`;
+};
+
+/**
+ * 获取文件在归档目录中的 Key（同一文件的不同内容或头部分别归档）
+ * @param {string} key - 文件 Key
+ * @param {Object} file - 发布记录中的文件信息
+ * @returns {string}
+ */
+const getArchiveKey = (key, { etag, headersMd5 }) => `${ARCHIVE_DIR}${key}/${etag}${headersMd5 ? `.${headersMd5}` : ''}`;
+
+/**
+ * 列出发布记录 ID
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @returns {Promise<string[]>} 按发布时间升序排列的 ID 数组
+ */
+const listReleases = async (cos, config) => {
+  const objects = await listCosFiles(cos, config, RELEASES_DIR);
+  return Array.from(objects.keys())
+    .filter(key => key.endsWith('.json'))
+    .map(key => key.slice(RELEASES_DIR.length, -'.json'.length))
+    .sort();
+};
+
+/**
+ * 读取发布记录
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string} id - 发布 ID
+ * @returns {Promise<Object>} 发布记录
+ */
+const loadRelease = async (cos, config, id) => {
+  const data = await withRetry(() => cos.getObject({ Bucket: config.bucket, Region: config.region, Key: toCosKey(config, `${RELEASES_DIR}${id}.json`) }));
+  return JSON.parse(data.Body.toString());
+};
+
+/**
+ * 读取最近一个发布中的文件记录
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @returns {Promise<Object>} Key → 文件信息 映射，尚无发布时为空
+ */
+const loadLatestReleaseFiles = async (cos, config) => {
+  const ids = await listReleases(cos, config);
+  return ids.length ? (await loadRelease(cos, config, ids[ids.length - 1])).files : {};
+};
+
+/**
+ * 将当前文件复制到归档目录（已归档的跳过）
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {Object} files - Key → 文件信息 映射
+ * @param {Function} limit - p-limit 并发控制
+ * @returns {Promise<void>}
+ */
+const archiveFiles = async (cos, config, files, limit) => {
+  const archived = await listCosFiles(cos, config, ARCHIVE_DIR);
+  const missing = Object.entries(files).filter(([key, file]) => !archived.has(getArchiveKey(key, file)));
+  await Promise.all(missing.map(([key, file]) => limit(() => copyCosObject(cos, config, getArchiveKey(key, file), key))));
+  log(config, 'info', 'release', 'release.archived', { count: missing.length });
+};
+
+/**
+ * 保存发布记录，并清理超出 release.keep 的旧记录及不再被引用的归档
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {Object} files - Key → { md5, etag, headersMd5, versionId } 映射
+ * @param {Object} [extra] - 附加字段，如 rollbackOf
+ * @returns {Promise<Object>} 发布记录
+ */
+const saveRelease = async (cos, config, files, extra = {}) => {
+  const sorted = Object.fromEntries(Object.keys(files).sort().map(key => [key, files[key]]));
+  const release = { id: createReleaseId(), createdAt: new Date().toISOString(), source: config.release.source, ...extra, files: sorted };
+  await withRetry(() => cos.putObject({
+    Bucket: config.bucket,
+    Region: config.region,
+    Key: toCosKey(config, `${RELEASES_DIR}${release.id}.json`),
+    Body: JSON.stringify(release, null, 2)
+  }));
+  log(config, 'info', 'release', 'release.saved', { id: release.id, count: Object.keys(files).length });
+
+  const ids = await listReleases(cos, config);
+  const expired = ids.slice(0, Math.max(0, ids.length - config.release.keep));
+  await deleteCosFiles(cos, config, expired.map(id => `${RELEASES_DIR}${id}.json`));
+
+  if (config.release.source === 'archive') {
+    const referenced = new Set();
+    for (const id of ids.slice(expired.length)) {
+      const kept = id === release.id ? release : await loadRelease(cos, config, id);
+      Object.entries(kept.files).forEach(([key, file]) => referenced.add(getArchiveKey(key, file)));
+    }
+    const archived = Array.from((await listCosFiles(cos, config, ARCHIVE_DIR)).keys());
+    await deleteCosFiles(cos, config, archived.filter(key => !referenced.has(key)));
+  }
+  return release;
+};
+
+/**
+ * 在对象版本中查找与 ETag 一致的版本 ID
+ * @param {COS} cos - COS 客户端
+ * @param {Object} config - 配置对象
+ * @param {string} key - 文件 Key
+ * @param {string} etag - 目标 ETag
+ * @returns {Promise<string>} 版本 ID
+ */
+const findVersionId = async (cos, config, key, etag) => {
+  const cosKey = toCosKey(config, key);
+  let keyMarker;
+  let versionIdMarker;
+  do {
+    const data = await withRetry(() => cos.listObjectVersions({
+      Bucket: config.bucket,
+      Region: config.region,
+      Prefix: cosKey,
+      KeyMarker: keyMarker,
+      VersionIdMarker: versionIdMarker
+    }));
+    const version = (data.Versions || []).find(v => v.Key === cosKey && v.ETag?.replace(/"/g, '') === etag);
+    if (version) return version.VersionId;
+    keyMarker = data.NextKeyMarker;
+    versionIdMarker = data.NextVersionIdMarker;
+    if (String(data.IsTruncated) !== 'true') break;
+  } while (keyMarker);
+  throw new Error(t(config, 'release.versionNotFound', { key, etag }));
+};
+
+/**
+ * 回滚到指定发布：从对象版本或归档恢复文件，删除该发布之后新增的文件，并刷新缓存
+ * @param {Object} config - 配置对象
+ * @param {Object} clients - 客户端对象
+ * @param {string} [releaseId] - 发布 ID，默认回滚到上一个发布
+ * @param {Object} [report] - 记录刷新与删除错误的报告
+ * @returns {Promise<void>}
+ */
+const rollback = async (config, clients, releaseId, report = createReport(config)) => {
+  const { cos } = clients;
+  const pLimit = await getPLimit();
+  const limit = pLimit(config.concurrency);
+
+  const ids = await listReleases(cos, config);
+  const targetId = releaseId || ids[ids.length - 2];
+  if (!targetId || !ids.includes(targetId)) {
+    throw new Error(t(config, 'release.notFound', { id: releaseId || t(config, 'release.previous') }));
+  }
+  const target = await loadRelease(cos, config, targetId);
+  const remoteObjects = await listCosFiles(cos, config);
+
+  const toRestore = Object.keys(target.files).filter(key => remoteObjects.get(key)?.etag !== target.files[key].etag);
+  const toDelete = config.removeRemoteFiles
+    ? Array.from(remoteObjects.keys()).filter(key => !key.startsWith(RESERVED_PREFIX) && !target.files[key] && !isExcluded(config, key))
+    : [];
+  const changedKeys = [...toRestore, ...toDelete];
+
+  if (config.dryRun) {
+    const purgeUrls = config.cdnDomains.length ? buildPurgeUrls(changedKeys, config) : [];
+    printPlan(config, [['plan.restore', toRestore], ['plan.delete', toDelete], ['plan.purge', purgeUrls]]);
+    return;
+  }
+
+  log(config, 'info', 'rollback', 'rollback.start', { id: targetId, restore: toRestore.length, delete: toDelete.length });
+  // 清单中这些文件的记录对应回滚前的内容，不移除会导致下次部署误判为未变更而跳过
+  await forgetManifestEntries(cos, config, changedKeys);
+  const files = { ...target.files };
+  await Promise.all(toRestore.map(key => limit(async () => {
+    const file = target.files[key];
+    const data = target.source === 'archive'
+      ? await copyCosObject(cos, config, key, getArchiveKey(key, file))
+      : await copyCosObject(cos, config, key, key, file.versionId || await findVersionId(cos, config, key, file.etag));
+    files[key] = { ...file, versionId: getVersionId(data) || file.versionId };
+    log(config, 'debug', 'rollback', 'rollback.restored', { key });
+  })));
+
+  const purgeErrorCount = report.errors.length;
+  const refreshedCount = await purgeCache(clients, config, buildPurgeUrls(changedKeys, config), report);
+  // 与部署一致：刷新出现错误时保留远程文件
+  if (report.errors.length > purgeErrorCount) {
+    if (toDelete.length) log(config, 'warn', 'delete', 'delete.purgeFailed', { count: toDelete.length });
+  } else {
+    await deleteCosFiles(cos, config, toDelete, report);
+  }
+  if (config.release) await saveRelease(cos, config, files, { rollbackOf: targetId });
+
+  log(config, 'info', 'rollback', 'rollback.summary', { restore: toRestore.length, delete: toDelete.length, purge: refreshedCount });
+};
+
+/**
+ * 展开部署目标：配置 targets 时每个目标继承顶层配置，否则顶层配置即为唯一目标
+ * @param {Object} config - 配置对象
+ * @returns {Object[]} 各目标的配置对象
+ */
+const expandTargets = (config) => (config.targets ? config.targets.map(target => ({ ...config, ...target })) : [config]);
+
+/**
+ * 多目标部署时为步骤名称加上目标名前缀
+ * @param {Object} config - 目标配置对象
+ * @param {string} stage - 步骤名称
+ * @returns {string}
+ */
+const targetStage = (config, stage) => (config.target ? `${config.target}:${stage}` : stage);
+
+/**
+ * 比对单个目标的远程文件，确定需要上传与删除的文件
+ * @param {Object} config - 目标配置对象
+ * @param {Object} clients - 客户端对象
+ * @param {Object[]} entries - 本地文件条目
+ * @param {Set<string>} localFileKeys - 本地文件 Key 集合
+ * @param {string[]} ignoredSymlinks - symlinks: ignore 时被忽略的符号链接（文件或目录）
+ * @param {Object} manifest - 该目标的部署清单
+ * @param {Object} report - 部署报告（多目标部署时为该目标的报告视图）
+ * @param {Function} limit - p-limit 并发控制
+ * @returns {Promise<Object>} { remoteState, remoteFiles, tasks, phases, changedFiles, filesToDelete }
+ */
+const planTarget = async (config, clients, entries, localFileKeys, ignoredSymlinks, manifest, report, limit) => {
+  const { cos } = clients;
+  // 部署后各文件的远程状态：Key → { etag, versionId }
+  const remoteState = new Map();
+
+  // 清单命中的文件无需远程校验
+  const pending = entries.filter(({ key, localMD5, headersMd5 }) => {
+    const cached = manifest[key];
+    if (config.verifyRemote || !cached || cached.md5 !== localMD5 || cached.headersMd5 !== headersMd5) return true;
+    remoteState.set(key, { etag: cached.etag });
+    return false;
+  });
+
+  // 获取远程文件：需要同步删除、或待校验文件较多时，一次分页列举代替逐个 headObject
+  const useListing = config.compareMode === 'list'
+    || (config.compareMode === 'auto' && (config.removeRemoteFiles || pending.length > LIST_COMPARE_THRESHOLD));
+  const { remoteObjects, compared } = await timeStage(report, targetStage(config, 'compare'), async () => {
+    const listed = useListing || config.removeRemoteFiles;
+    const remoteObjects = listed ? await listCosFiles(cos, config) : new Map();
+    // 已列举存储桶时顺带核对清单命中：远程文件缺失或 ETag 不一致（如在控制台被删除、覆盖）时重新比对
+    if (listed) {
+      entries.forEach((entry) => {
+        const cached = remoteState.get(entry.key);
+        if (cached && remoteObjects.get(entry.key)?.etag !== cached.etag) {
+          remoteState.delete(entry.key);
+          pending.push(entry);
+        }
+      });
+    }
+    // 列举结果不含头部：清单或上一个发布中记录的头部指纹用于发现需要更新头部的文件
+    const released = useListing && config.release ? await loadLatestReleaseFiles(cos, config) : {};
+    log(config, 'info', 'compare', 'compare.summary', {
+      hits: entries.length - pending.length,
+      pending: pending.length,
+      method: t(config, useListing ? 'compare.listing' : 'compare.head')
+    });
+
+    // 比对远程文件，收集变更
+    const progress = createProgress(config, 'compare', pending.length);
+    try {
+      const compared = await Promise.all(pending.map(entry => limit(async () => {
+        const recordedHeadersMd5 = (manifest[entry.key] || released[entry.key])?.headersMd5;
+        const { action, remote } = await compareEntry(cos, config, entry, useListing ? remoteObjects : null, recordedHeadersMd5);
+        if (action === 'skip') remoteState.set(entry.key, { etag: remote.etag });
+        progress.tick();
+        return { ...entry, action, remote };
+      })));
+      return { remoteObjects, compared };
+    } finally {
+      progress.done();
+    }
+  });
+  const remoteFiles = Array.from(remoteObjects.keys()).filter(key => !key.startsWith(RESERVED_PREFIX));
+  const tasks = compared.filter(task => task.action !== 'skip');
+  const phases = splitPhases(config, tasks);
+  report.skipped.push(...entries.map(({ key }) => key).filter(key => remoteState.has(key)));
+  return {
+    remoteState,
+    remoteFiles,
+    tasks,
+    phases,
+    changedFiles: phases.flat().map(task => task.key),
+    // 被排除的文件与被忽略的符号链接视为不受部署管理，除非开启 delete_excluded，否则保留其远程副本
+    filesToDelete: config.removeRemoteFiles
+      ? remoteFiles.filter(key => !localFileKeys.has(key) && (config.deleteExcluded
+        || !(isExcluded(config, key) || ignoredSymlinks.some(link => key === link || key.startsWith(`${link}/`)))))
+      : []
+  };
+};
+
+/**
+ * 按阶段上传单个目标的变更文件并保存清单
+ * @param {Object} config - 目标配置对象
+ * @param {Object} clients - 客户端对象
+ * @param {Object[]} entries - 本地文件条目
+ * @param {Object} plan - planTarget 的结果
+ * @param {Object} report - 部署报告（多目标部署时为该目标的报告视图）
+ * @param {Function} limit - p-limit 并发控制
+ * @returns {Promise<void>}
+ */
+const uploadTarget = async (config, clients, entries, { remoteState, tasks, phases }, report, limit) => {
+  const { cos } = clients;
+  // 按阶段上传：静态资源先于 HTML，避免新页面引用尚未上传的资源
+  const uploadBytes = tasks.reduce((sum, task) => sum + (task.action === 'upload' ? task.size : 0), 0);
+  const uploadProgress = createProgress(config, 'upload', tasks.length, uploadBytes);
+  try {
+    for (const [index, phase] of phases.entries()) {
+      log(config, 'info', 'upload', 'upload.phase', { index: index + 1, total: phases.length, count: phase.length });
+      await timeStage(report, targetStage(config, `upload:${index + 1}`), () => runPhase(config, phase, async ({ key, filePath, size, localMD5, encoding, headers, redirect, action, remote }) => {
+        try {
+          let data;
+          if (action === 'copy') data = await updateObjectHeaders(cos, config, key, localMD5, headers);
+          else if (redirect) data = await uploadRedirect(cos, config, key, headers);
+          else data = await uploadFile(cos, config, key, filePath, { md5: localMD5, headers, encoding });
+          const etag = action === 'copy' ? remote.etag : (data?.ETag?.replace(/"/g, '') || localMD5);
+          remoteState.set(key, { etag, versionId: getVersionId(data) });
+          report.uploaded.push({ key, size, md5: localMD5, etag, action, ...(encoding && { encoding }), ...(redirect && { redirect }) });
+          uploadProgress.tick(1, action === 'upload' ? size : 0);
+        } catch (error) {
+          reportError(config, report, 'upload', 'upload.failed', { key }, error);
+          throw error;
+        }
+      }, limit));
+    }
+  } finally {
+    uploadProgress.done();
+  }
+
+  await timeStage(report, targetStage(config, 'manifest'), () => saveManifest(cos, config, Object.fromEntries(entries
+    .filter(({ key, record }) => record && remoteState.has(key))
+    .map(({ key, record }) => [key, { ...record, etag: remoteState.get(key).etag }]))));
+};
+
+/**
+ * 记录单个目标的发布：未变更文件沿用上一个发布中的版本 ID
+ * @param {Object} config - 目标配置对象
+ * @param {Object} clients - 客户端对象
+ * @param {Object[]} entries - 本地文件条目
+ * @param {Object} plan - planTarget 的结果
+ * @param {Function} limit - p-limit 并发控制
+ * @returns {Promise<void>}
+ */
+const releaseTarget = async (config, clients, entries, { remoteState }, limit) => {
+  const { cos } = clients;
+  const previous = await loadLatestReleaseFiles(cos, config);
+  const files = Object.fromEntries(entries.filter(({ key }) => remoteState.has(key)).map(({ key, localMD5, headersMd5 }) => {
+    const { etag, versionId } = remoteState.get(key);
+    const inherited = previous[key]?.etag === etag ? previous[key].versionId : null;
+    return [key, { md5: localMD5, etag, ...(headersMd5 && { headersMd5 }), versionId: versionId || inherited || null }];
+  }));
+  if (config.release.source === 'archive') {
+    await archiveFiles(cos, config, files, limit);
+  } else {
+    const versioning = await cos.getBucketVersioning({ Bucket: config.bucket, Region: config.region });
+    if (versioning?.VersioningConfiguration?.Status !== 'Enabled') {
+      log(config, 'warn', 'release', 'release.versioningDisabled');
+    }
+  }
+  await saveRelease(cos, config, files);
+};
+
+/**
+ * 主逻辑：扫描一次本地文件，逐个目标比对并按阶段上传，全部目标完成后合并刷新缓存，再同步删除远程文件
+ * @param {Object} config - 配置对象
+ * @param {Object} clients - 客户端对象
+ * @param {Object} [report] - 部署报告，记录各文件操作、步骤耗时与错误
+ * @returns {Promise<void>}
+ */
+const main = async (config, clients, report = createReport(config)) => {
+  const pLimit = await getPLimit();
+  const limit = pLimit(config.concurrency);
+  const ignoredSymlinks = [];
+  const localFiles = await getFiles(config.uploadDir, {
+    // 重定向规则文件本身不上传
+    filter: (key, isDirectory) => !isExcluded(config, key, isDirectory) && key !== config.redirectsFile,
+    followSymlinks: config.symlinks === 'follow',
+    onIgnoredSymlink: key => ignoredSymlinks.push(key)
+  });
+  const localFileKeys = new Set(localFiles.map(filePath => path.relative(config.uploadDir, filePath).replace(/\\/g, '/')));
+  const redirects = await loadRedirects(config);
+  // 多目标部署时各目标共用错误、耗时与刷新记录，上传、跳过与删除的文件分别记录
+  const targets = expandTargets(config).map((targetConfig, index) => ({
+    config: targetConfig,
+    report: report.targets ? { ...report, ...report.targets[index] } : report,
+    failed: false
+  }));
+
+  // 读取部署清单：size + mtime 未变时复用 MD5，ETag 已确认一致时跳过远程校验
+  for (const target of targets) target.manifest = await loadManifest(clients.cos, target.config);
+
+  // 计算本地文件 MD5：只扫描一次，任一目标清单中 size + mtime 一致的记录均可复用
+  const entries = await timeStage(report, 'scan', () => scanLocalFiles(config, localFiles, Object.assign({}, ...targets.map(target => target.manifest)), limit));
+  // 重定向对象视为本地文件：参与比对与缓存刷新，且不会被 remove_remote_files 删除
+  const redirectEntries = buildRedirectEntries(config, redirects, localFileKeys);
+  entries.push(...redirectEntries);
+  redirectEntries.forEach(({ key }) => localFileKeys.add(key));
+
+  // 多目标部署时单个目标失败不中断其它目标，失败原因记录到报告；单目标部署直接抛出
+  const runTargets = async (list, fn) => {
+    for (const target of list) {
+      try {
+        await fn(target);
+      } catch (error) {
+        if (!config.targets) throw error;
+        // 上传失败已逐个记录，其它为意外错误
+        if (error.stage !== 'upload') reportError(target.config, report, 'deploy', 'deploy.failed', {}, error);
+        target.failed = true;
+      }
+    }
+  };
+  const finishReport = () => report.targets?.forEach((result, index) => {
+    result.success = !targets[index].failed;
+    report.uploaded.push(...result.uploaded.map(item => ({ target: result.name, ...item })));
+    report.skipped.push(...result.skipped);
+    report.deleted.push(...result.deleted);
+  });
+  const buildTargetUrls = (list, filter = keys => keys) =>
+    [...new Set(list.flatMap(({ config: targetConfig, plan }) => buildPurgeUrls(filter(plan.changedFiles), targetConfig)))];
+
+  await runTargets(targets, async (target) => {
+    target.plan = await planTarget(target.config, clients, entries, localFileKeys, ignoredSymlinks, target.manifest, target.report, limit);
+    if (!config.dryRun) await uploadTarget(target.config, clients, entries, target.plan, target.report, limit);
+    // 静态网站配置在文件上传后同步，失败只记录错误，不影响缓存刷新
+    if (config.website) {
+      target.websiteChanges = await timeStage(report, targetStage(target.config, 'website'), () =>
+        syncWebsite(clients.cos, target.config).catch(error => {
+          reportError(target.config, report, 'website', 'website.failed', {}, error);
+          return [];
+        }));
+    }
+  });
+
+  if (config.dryRun) {
+    const planned = targets.filter(target => target.plan);
+    const groups = [];
+    planned.forEach(({ config: targetConfig, report: targetReport, plan }) => {
+      targetReport.uploaded.push(...plan.phases.flat().map(({ key, size, localMD5, action }) => ({ key, size, md5: localMD5, action })));
+      targetReport.deleted.push(...plan.filesToDelete);
+      groups.push(['plan.upload', plan.changedFiles, targetConfig.target], ['plan.delete', plan.filesToDelete, targetConfig.target]);
+    });
+    if (config.website) planned.forEach(({ config: targetConfig, websiteChanges }) => groups.push(['plan.website', websiteChanges, targetConfig.target]));
+    const purgeUrls = buildTargetUrls(planned);
+    report.purge.urls.push(...purgeUrls);
+    groups.push(['plan.purge', purgeUrls]);
+    if (config.prefetch) {
+      const prefetchUrls = buildTargetUrls(planned, keys => filterPrefetchKeys(keys, config.prefetch));
+      report.prefetch.urls.push(...prefetchUrls);
+      groups.push(['plan.prefetch', prefetchUrls]);
+    }
+    finishReport();
+    printPlan(config, groups);
+    return;
+  }
+
+  // 刷新缓存：默认全部目标成功后才刷新，避免不同存储桶的缓存提供不同版本
+  const succeeded = targets.filter(target => !target.failed);
+  const purgeTargets = succeeded.length === targets.length || config.purgeOnPartialFailure ? succeeded : [];
+  if (succeeded.length < targets.length) {
+    log(config, 'warn', 'deploy', purgeTargets.length ? 'targets.failed' : 'targets.purgeSkipped', { count: targets.length - succeeded.length });
+  }
+  const purgeErrorCount = report.errors.filter(({ stage }) => stage === 'purge').length;
+  const refreshedCount = await timeStage(report, 'purge', () => purgeCache(clients, config, buildTargetUrls(purgeTargets), report));
+  const purgeFailed = report.errors.filter(({ stage }) => stage === 'purge').length > purgeErrorCount;
+  const prefetchedCount = config.prefetch
+    ? await timeStage(report, 'prefetch', () => prefetchCache(clients, config, buildTargetUrls(purgeTargets, keys => filterPrefetchKeys(keys, config.prefetch)), report))
+    : 0;
+
+  // 删除多余远程文件：放在刷新之后，确保缓存中的旧页面不会引用已删除的资源；刷新失败时保留远程文件
+  if (config.removeRemoteFiles && purgeFailed) {
+    const count = purgeTargets.reduce((sum, { plan }) => sum + plan.filesToDelete.length, 0);
+    if (count) log(config, 'warn', 'delete', 'delete.purgeFailed', { count });
+  } else if (config.removeRemoteFiles) {
+    await runTargets(purgeTargets, async ({ config: targetConfig, report: targetReport, plan }) => {
+      const { remoteFiles, filesToDelete } = plan;
+      log(targetConfig, 'info', 'sync', 'sync.summary', { remote: remoteFiles.length, local: localFileKeys.size, count: filesToDelete.length });
+      filesToDelete.forEach(key => log(targetConfig, 'debug', 'delete', 'delete.file', { key }));
+      targetReport.deleted.push(...await timeStage(report, targetStage(targetConfig, 'delete'), () =>
+        deleteCosFiles(clients.cos, targetConfig, filesToDelete, report, createProgress(targetConfig, 'delete', filesToDelete.length))));
+    });
+  }
+
+  if (config.release) {
+    await runTargets(succeeded, ({ config: targetConfig, plan }) =>
+      timeStage(report, targetStage(targetConfig, 'release'), () => releaseTarget(targetConfig, clients, entries, plan, limit)));
+  }
+
+  finishReport();
+  log(config, 'info', 'deploy', config.prefetch ? 'deploy.summaryWithPrefetch' : 'deploy.summary', {
+    upload: succeeded.reduce((sum, { plan }) => sum + plan.changedFiles.length, 0),
+    delete: report.deleted.length,
+    purge: refreshedCount,
+    prefetch: prefetchedCount
+  });
+  log(config, 'info', 'deploy', 'deploy.done');
+};
+
+/**
+ * Hexo 部署入口
+ * deploy 为数组时 Hexo 逐项调用部署器，args 为该项的配置与命令行参数的合并，
+ * 因此校验 args 本身，而不是 hexo.config.deploy 中的第一个 tencent-cos 项
+ * @param {Object} args - Hexo 传入的部署参数（含命令行参数）
+ */
+module.exports = async function (args = {}) {
+  const hexo = this;
+  const config = validateConfig(hexo, args, args);
+  if (!config) throw new Error(t(args, 'config.failed'));
+
+  const clients = initClients(config);
+  const report = createReport(config);
+  try {
+    await main(config, clients, report);
+  } catch (error) {
+    // 上传失败已逐个记录，其它为意外错误
+    if (error.stage !== 'upload') reportError(config, report, 'deploy', 'deploy.failed', {}, error);
+  }
+  const failure = collectFailures(config, report.errors);
+  report.success = !failure;
+  await writeReport(config, report);
+  if (failure) throw failure;
+};
+
+/**
+ * 回滚入口（hexo tencent rollback [release-id]），多目标部署时逐个目标回滚
+ * 单个目标失败不中断其它目标，结束时按 fail_on 汇总错误抛出
+ * @param {Object} args - 命令行参数，args.release 为发布 ID
+ */
+module.exports.rollback = async function (args = {}) {
+  const hexo = this;
+  const config = validateConfig(hexo, args);
+  if (!config) throw new Error(t(getDeployConfig(hexo) || {}, 'config.failed'));
+
+  const clients = initClients(config);
+  const report = createReport(config);
+  for (const target of expandTargets(config)) {
+    try {
+      await rollback(target, clients, args.release, report);
+    } catch (error) {
+      reportError(target, report, 'rollback', 'rollback.failed', {}, error);
+    }
+  }
+  const failure = collectFailures(config, report.errors);
+  if (failure) throw failure;
+};
+
+/**
+ * 发布列表入口（hexo tencent releases），任一目标读取失败时汇总错误抛出
+ * @param {Object} args - 命令行参数
+ */
+module.exports.releases = async function (args = {}) {
+  const hexo = this;
+  const config = validateConfig(hexo, args);
+  if (!config) throw new Error(t(getDeployConfig(hexo) || {}, 'config.failed'));
+
+  const { cos } = initClients(config);
+  const report = createReport(config);
+  for (const target of expandTargets(config)) {
+    try {
+      const ids = await listReleases(cos, target);
+      if (!ids.length) log(target, 'info', 'release', 'release.empty');
+      ids.forEach((id, index) => config.logger.info(`  ${target.target ? `[${target.target}] ` : ''}${id}${index === ids.length - 1 ? t(config, 'release.current') : ''}`));
+    } catch (error) {
+      reportError(target, report, 'release', 'release.listFailed', {}, error);
+    }
+  }
+  const failure = collectFailures(config, report.errors);
+  if (failure) throw failure;
+};
+
+/**
+ * 打印 hexo tencent 命令的用法，按部署配置的 language 输出
+ */
+module.exports.usage = function () {
+  const hexo = this;
+  (hexo.log || consoleLogger).info(t(getDeployConfig(hexo) || {}, 'console.usage'));
 };
 
 // 导出内部函数供测试使用
@@ -486,3 +3037,16 @@ module.exports._calculateMD5 = calculateMD5;
 module.exports._getFiles = getFiles;
 module.exports._withRetry = withRetry;
 module.exports._buildPurgeUrls = buildPurgeUrls;
+module.exports._planCdnPurge = planCdnPurge;
+module.exports._createCredentialProvider = createCredentialProvider;
+module.exports._initClients = initClients;
+module.exports._createRateLimiter = createRateLimiter;
+module.exports._throttleClient = throttleClient;
+module.exports._isExcluded = isExcluded;
+module.exports._splitPhases = splitPhases;
+module.exports._main = main;
+module.exports._createReport = createReport;
+module.exports._writeReport = writeReport;
+module.exports._collectFailures = collectFailures;
+module.exports._rollback = rollback;
+module.exports._listReleases = listReleases;
@@ -0,0 +1,383 @@
+/**
+ * 日志与错误消息目录，按 language 配置选择
+ * 占位符 {name} 由 deployer 中的 t() 替换；缺失的条目回退到中文
+ */
+module.exports = {
+  zh: {
+    // 日志前缀
+    'scope.config': '配置',
+    'scope.manifest': '清单',
+    'scope.scan': '扫描',
+    'scope.compare': '比对',
+    'scope.upload': '上传',
+    'scope.sync': '同步',
+    'scope.delete': '删除',
+    'scope.cdn': 'CDN刷新',
+    'scope.purge': '刷新',
+    'scope.edgeone': 'EdgeOne',
+    'scope.prefetch': '预热',
+    'scope.preview': '预览',
+    'scope.report': '报告',
+    'scope.release': '发布',
+    'scope.rollback': '回滚',
+    'scope.deploy': '部署',
+    'scope.credentials': '凭证',
+    'scope.website': '静态网站',
+    'scope.redirect': '重定向',
+
+    // 配置校验
+    'config.notFound': '未找到 deploy 配置，请在 _config.yml 中配置',
+    'config.invalid': '校验失败:',
+    'config.failed': '部署配置校验失败',
+    'config.missing': '缺少配置项: {item}',
+    'config.placeholder': '未正确配置: {item}',
+    'config.envMissing': '环境变量 {name} 未设置',
+    'config.credentialsMissing': '未找到访问凭证：请配置 secret_id / secret_key、设置 TENCENTCLOUD_SECRET_ID / TENCENTCLOUD_SECRET_KEY 环境变量，或使用凭证文件',
+    'config.profileNotFound': '凭证文件 {file} 中未找到包含 secret_id 与 secret_key 的配置档 [{profile}]',
+    'config.unsupported': '不支持的 {item} 取值 "{value}"，请使用 {choices}',
+    'config.remoteDir': '{item} 必须为不含 "." 或 ".." 的路径字符串',
+    'config.targets': 'targets 必须为非空数组',
+    'config.targetDuplicate': 'targets 中存在重名目标 "{name}"，请通过 name 区分',
+    'config.websiteErrorPages': 'website.error_pages 必须为 状态码 → 文档 Key 的映射',
+    'config.websiteRule': '{item} 需要一个 condition（error_code 或 key_prefix）和 redirect（protocol、key 或 key_prefix，key 与 key_prefix 不能同时设置）',
+    'config.errorCode': '{item} 中的状态码 "{code}" 必须为 4xx 或 5xx',
+    'config.redirectsMap': 'redirects 必须为 旧路径 → 新地址 的映射',
+    'config.storageRule': '{item} 需要设置 storage_class、acl 或 grants',
+    'config.storageGrants': '{item} 必须为 权限 → 被授权者 的映射',
+    'config.redirectLocation': '{item} 的新地址 "{location}" 必须以 "/"、http:// 或 https:// 开头',
+    'config.positiveMb': '{item} 必须为正数（单位 MB）',
+    'config.positiveInteger': '{item} 必须为正整数',
+    'config.positiveSeconds': '{item} 必须为正数（单位秒）',
+    'config.trafficLimit': 'traffic_limit 必须为 {min} 到 {max} 之间的数字（单位 MB/s）',
+    'config.rateLimit': '{item} 必须为正数（每秒请求数）',
+    'config.nonNegativeBytes': '{item} 必须为非负数（单位字节）',
+    'config.globArray': '{item} 必须为 glob 字符串数组',
+    'config.globPatterns': '{item} 必须为 glob 字符串或字符串数组',
+    'config.uploadPhases': 'upload_phases 必须为数组，每个阶段为 glob 字符串或字符串数组',
+    'config.extensions': '{item} 必须为以 "." 开头的字符串数组',
+    'config.filePath': '{item} 必须为文件路径字符串',
+    'config.string': '{item} 必须为字符串',
+    'config.array': '{item} 必须为数组',
+    'config.headersMap': '{item} 缺少 headers 映射',
+    'config.domainMissing': '{item} 缺少 domain 字段',
+    'config.domainInvalid': '{item} 的 domain 格式不合法: {domain}',
+    'config.extensionType': '{item} 中 "{ext}" 必须为字符串',
+    'config.extensionDot': '{item} 中 "{ext}" 必须以 "." 开头',
+
+    // 部署清单
+    'manifest.readLocalFailed': '读取本地清单失败，将重新校验: {error}',
+    'manifest.readRemoteFailed': '读取远程清单失败，将重新校验: {error}',
+    'manifest.saved': '已保存 {count} 条记录',
+
+    // 比对与上传
+    'compare.summary': '{hits} 个文件命中清单，{pending} 个文件通过{method}校验',
+    'compare.listing': '列举结果',
+    'compare.storageDrifted': '存储类型或权限与规则不一致: {key}',
+    'compare.head': ' headObject ',
+    'upload.outOfRoot': '跳过越界路径: {path}',
+    'upload.phase': '阶段 {index}/{total}：{count} 个文件',
+    'upload.success': '成功: {key}',
+    'upload.successEncoded': '成功: {key}（{encoding}）',
+    'upload.successMultipart': '成功: {key}（分块）',
+    'upload.headersUpdated': '更新头部: {key}',
+    'upload.redirect': '重定向: {key} → {location}',
+    'upload.failed': '{key} 上传失败:',
+    'upload.phaseFailed': '{count} 个文件上传失败，终止后续阶段',
+
+    // 同步删除
+    'sync.summary': '远程 {remote} 个文件，本地 {local} 个文件，待删除 {count} 个',
+    'delete.file': '{key}',
+    'delete.done': '完成 {count} 个远程文件',
+    'delete.fileFailed': '{key} 删除失败: {code} {message}',
+    'delete.batchFailed': '{count} 个远程文件删除失败:',
+    'delete.purgeFailed': '缓存刷新失败，跳过删除 {count} 个远程文件，避免缓存中的旧页面引用已删除的资源',
+
+    // 缓存刷新
+    'cdn.submitted': '提交 {count} 个 URL',
+    'cdn.failed': '{count} 个 URL 刷新失败:',
+    'cdn.quota': '刷新配额: URL 单次 {urlBatch} / 剩余 {urlAvailable}，目录单次 {pathBatch} / 剩余 {pathAvailable}',
+    'cdn.quotaFailed': '查询刷新配额失败，按默认批量大小提交:',
+    'cdn.pathStrategy': '{paths} 个目录按目录刷新（覆盖 {count} 个 URL），其余 {urls} 个 URL 按 URL 刷新',
+    'cdn.quotaExhausted': '刷新配额不足，{count} 个 URL 未刷新:\n  {urls}',
+    'cdn.pathSubmitted': '提交 {count} 个目录',
+    'cdn.pathFailed': '{count} 个目录刷新失败:',
+    'edgeone.invalidUrls': '无效的 URL: {urls}',
+    'edgeone.zonesFailed': '获取 Zone 列表失败:',
+    'edgeone.zoneNotFound': '未找到 {domain} 对应的 ZoneId，跳过该域名',
+    'edgeone.quotaFailed': 'ZoneId {zoneId} 获取配额失败，跳过:',
+    'edgeone.quota': 'Zone {zoneId} 配额: 单次 {batch} / 每日 {daily} / 剩余 {available}',
+    'edgeone.hostStrategy': 'Zone {zoneId} 策略: 主机名级刷新（免费版配额不足，{count} URL > {available} 剩余）',
+    'edgeone.urlStrategy': 'Zone {zoneId} 策略: URL级刷新，{tasks} 个任务',
+    'edgeone.purged': '缓存清除成功: Type={type}, 数量={count}',
+    'edgeone.purgeFailed': '缓存清除失败（ZoneId: {zoneId}）:',
+    'purge.waiting': '等待 {count} 个刷新任务完成（最长 {timeout}）',
+    'purge.queryFailed': '查询刷新任务 {id} 失败:',
+    'purge.taskFailed': '刷新任务 {id} 中 {count} 个目标失败:\n  {targets}',
+    'purge.taskTimeout': '刷新任务 {id} 中 {count} 个目标超时未完成:\n  {targets}',
+    'purge.tasksSummary': '刷新任务: {done} 个完成，{failed} 个失败，{timeout} 个超时',
+    'prefetch.quota': '预热配额: 单次 {batch} / 剩余 {available}',
+    'prefetch.quotaFailed': '查询预热配额失败，按默认批量大小提交:',
+    'prefetch.quotaExhausted': '预热配额不足，{count} 个 URL 未预热（剩余 {available}）',
+    'prefetch.submitted': '提交 {count} 个 URL',
+    'prefetch.failed': '{count} 个 URL 预热失败:',
+    'prefetch.zonesFailed': '获取 Zone 列表失败，跳过预热:',
+    'prefetch.zoneNotFound': '未找到 {domain} 对应的 ZoneId，跳过预热',
+
+    // 进度
+    'progress.eta': '剩余 {time}',
+    'progress.summary': '进度 {progress}',
+
+    // 预览
+    'preview.notice': 'dry-run 模式，不会修改 COS 或缓存',
+    'plan.group': '{title}（{count}）:',
+    'plan.upload': '上传',
+    'plan.delete': '删除',
+    'plan.purge': '刷新',
+    'plan.prefetch': '预热',
+    'plan.website': '静态网站配置变更',
+    'plan.restore': '恢复',
+
+    // 报告与失败汇总
+    'report.written': '已写入 {file}',
+    'report.writeFailed': '写入失败:',
+    'report.title': '部署报告',
+    'report.dryRun': '（预览）',
+    'report.bucket': '存储桶：`{bucket}`（{region}）',
+    'report.target': '目标 {name}：`{bucket}`（{region}），{result}',
+    'report.result': '结果：{result}，耗时 {duration}s',
+    'report.success': '成功',
+    'report.failure': '失败',
+    'report.counts': '| 上传 | 跳过 | 删除 | 刷新 URL | 刷新目录 | 刷新主机 | 错误 |',
+    'report.timings': '| 步骤 | 耗时（ms） |',
+    'report.errors': '错误',
+    'failure.summary': '部署失败（{counts}错误）:',
+    'failure.count': '{stage} {count} 个',
+    'failure.separator': '，',
+    'failure.more': '…… 另有 {count} 个错误',
+    'stage.upload': '上传',
+    'stage.delete': '删除',
+    'stage.purge': '刷新',
+    'stage.deploy': '部署',
+
+    // 发布与回滚
+    'release.archived': '归档 {count} 个文件',
+    'release.saved': '已记录发布 {id}（{count} 个文件）',
+    'release.versioningDisabled': '存储桶未开启版本控制，回滚时将无法恢复已被覆盖或删除的文件',
+    'release.versionNotFound': '未找到 {key} 的历史版本（ETag: {etag}），请确认存储桶已开启版本控制',
+    'release.notFound': '未找到发布记录: {id}',
+    'release.previous': '上一个发布',
+    'release.empty': '暂无发布记录',
+    'release.current': '（当前）',
+    'release.listFailed': '获取发布记录失败:',
+    'rollback.start': '回滚到 {id}：恢复 {restore} 个文件，删除 {delete} 个文件',
+    'rollback.restored': '恢复: {key}',
+    'rollback.summary': '恢复: {restore} 个文件 | 删除: {delete} 个文件 | 刷新: {purge} 个 URL',
+    'rollback.failed': '失败:',
+    'console.usage': '用法:\n  hexo tencent releases               列出发布记录\n  hexo tencent rollback [release-id]  回滚到指定发布（默认为上一个发布）',
+
+    // 访问凭证
+    'credentials.source': '凭证来源: {source}，AssumeRole: {role}',
+    'credentials.assumed': '已获取 {role} 的临时凭证，有效期至 {expiration}',
+    'credentials.failed': '获取临时凭证失败:',
+
+    // 部署结果
+    'redirect.loaded': '读取 {count} 条重定向规则',
+    'redirect.fileMissing': 'upload_dir 中未找到 {file}，仅使用 redirects 配置',
+    'redirect.invalidLine': '{file} 第 {line} 行无效，已忽略: {content}',
+    'redirect.unsupportedLine': '{file} 第 {line} 行不是单个路径的 3xx 重定向（改写、通配符、占位符或条件），已忽略: {content}',
+    'redirect.conflict': '{key} 存在同名本地文件，忽略指向 {location} 的重定向',
+    'website.unchanged': '静态网站配置未变化',
+    'website.updated': '已更新静态网站配置:\n  {changes}',
+    'website.rulesDropped': '存储桶中的 {count} 条重定向规则不在 website 配置中，同步时将被移除:\n  {rules}',
+    'website.failed': '同步静态网站配置失败:',
+    'targets.failed': '{count} 个目标部署失败，仅刷新成功目标的缓存',
+    'targets.purgeSkipped': '{count} 个目标部署失败，为避免各目标提供不同版本，跳过缓存刷新与远程文件删除',
+    'deploy.summary': '上传: {upload} 个文件 | 删除: {delete} 个文件 | 刷新: {purge} 个 URL',
+    'deploy.summaryWithPrefetch': '上传: {upload} 个文件 | 删除: {delete} 个文件 | 刷新: {purge} 个 URL | 预热: {prefetch} 个 URL',
+    'deploy.done': '完成！',
+    'deploy.failed': '失败:'
+  },
+
+  en: {
+    'scope.config': 'Config',
+    'scope.manifest': 'Manifest',
+    'scope.scan': 'Scan',
+    'scope.compare': 'Compare',
+    'scope.upload': 'Upload',
+    'scope.sync': 'Sync',
+    'scope.delete': 'Delete',
+    'scope.cdn': 'CDN',
+    'scope.purge': 'Purge',
+    'scope.edgeone': 'EdgeOne',
+    'scope.prefetch': 'Prefetch',
+    'scope.preview': 'Dry run',
+    'scope.report': 'Report',
+    'scope.release': 'Release',
+    'scope.rollback': 'Rollback',
+    'scope.deploy': 'Deploy',
+    'scope.credentials': 'Credentials',
+    'scope.website': 'Website',
+    'scope.redirect': 'Redirect',
+
+    'config.notFound': 'No deploy config found, please add it to _config.yml',
+    'config.invalid': 'Validation failed:',
+    'config.failed': 'Invalid deploy config',
+    'config.missing': 'Missing option: {item}',
+    'config.placeholder': 'Option not configured: {item}',
+    'config.envMissing': 'Environment variable {name} is not set',
+    'config.credentialsMissing': 'No credentials found: set secret_id / secret_key, the TENCENTCLOUD_SECRET_ID / TENCENTCLOUD_SECRET_KEY environment variables, or use a credentials file',
+    'config.profileNotFound': 'Profile [{profile}] with secret_id and secret_key not found in credentials file {file}',
+    'config.unsupported': 'Unsupported {item} value "{value}", use {choices}',
+    'config.remoteDir': '{item} must be a path string without "." or ".." segments',
+    'config.targets': 'targets must be a non-empty array',
+    'config.targetDuplicate': 'Duplicate target "{name}" in targets, use name to tell them apart',
+    'config.websiteErrorPages': 'website.error_pages must map status codes to document keys',
+    'config.websiteRule': '{item} needs one condition (error_code or key_prefix) and a redirect (protocol, key or key_prefix, not both key and key_prefix)',
+    'config.errorCode': 'Status code "{code}" in {item} must be 4xx or 5xx',
+    'config.redirectsMap': 'redirects must map old paths to new locations',
+    'config.storageRule': '{item} must set storage_class, acl or grants',
+    'config.storageGrants': '{item} must map permissions to grantees',
+    'config.redirectLocation': 'Location "{location}" of {item} must start with "/", http:// or https://',
+    'config.positiveMb': '{item} must be a positive number (in MB)',
+    'config.positiveInteger': '{item} must be a positive integer',
+    'config.positiveSeconds': '{item} must be a positive number (seconds)',
+    'config.trafficLimit': 'traffic_limit must be a number between {min} and {max} (in MB/s)',
+    'config.rateLimit': '{item} must be a positive number (requests per second)',
+    'config.nonNegativeBytes': '{item} must be a non-negative number (in bytes)',
+    'config.globArray': '{item} must be an array of glob strings',
+    'config.globPatterns': '{item} must be a glob string or an array of glob strings',
+    'config.uploadPhases': 'upload_phases must be an array whose items are glob strings or arrays of glob strings',
+    'config.extensions': '{item} must be an array of strings starting with "."',
+    'config.filePath': '{item} must be a file path string',
+    'config.string': '{item} must be a string',
+    'config.array': '{item} must be an array',
+    'config.headersMap': '{item} is missing the headers map',
+    'config.domainMissing': '{item} is missing the domain field',
+    'config.domainInvalid': '{item} has an invalid domain: {domain}',
+    'config.extensionType': '"{ext}" in {item} must be a string',
+    'config.extensionDot': '"{ext}" in {item} must start with "."',
+
+    'manifest.readLocalFailed': 'Failed to read the local manifest, all files will be verified: {error}',
+    'manifest.readRemoteFailed': 'Failed to read the remote manifest, all files will be verified: {error}',
+    'manifest.saved': 'Saved {count} entries',
+
+    'compare.summary': '{hits} files matched the manifest, {pending} files checked via {method}',
+    'compare.listing': 'bucket listing',
+    'compare.storageDrifted': 'Storage class or ACL does not match the rules: {key}',
+    'compare.head': 'headObject',
+    'upload.outOfRoot': 'Skipped path outside upload_dir: {path}',
+    'upload.phase': 'Phase {index}/{total}: {count} files',
+    'upload.success': 'Uploaded: {key}',
+    'upload.successEncoded': 'Uploaded: {key} ({encoding})',
+    'upload.successMultipart': 'Uploaded: {key} (multipart)',
+    'upload.headersUpdated': 'Updated headers: {key}',
+    'upload.redirect': 'Redirect: {key} → {location}',
+    'upload.failed': 'Failed to upload {key}:',
+    'upload.phaseFailed': '{count} files failed to upload, remaining phases aborted',
+
+    'sync.summary': '{remote} remote files, {local} local files, {count} to delete',
+    'delete.file': '{key}',
+    'delete.done': 'Deleted {count} remote files',
+    'delete.fileFailed': 'Failed to delete {key}: {code} {message}',
+    'delete.batchFailed': 'Failed to delete {count} remote files:',
+    'delete.purgeFailed': 'Cache purge failed, keeping {count} remote files so cached pages do not reference deleted assets',
+
+    'cdn.submitted': 'Submitted {count} URLs',
+    'cdn.failed': 'Failed to purge {count} URLs:',
+    'cdn.quota': 'Purge quota: URLs {urlBatch} per request / {urlAvailable} remaining, directories {pathBatch} per request / {pathAvailable} remaining',
+    'cdn.quotaFailed': 'Failed to query purge quota, using default batch sizes:',
+    'cdn.pathStrategy': 'Purging {paths} directories (covering {count} URLs), {urls} URLs purged individually',
+    'cdn.quotaExhausted': 'Purge quota exhausted, {count} URLs were not purged:\n  {urls}',
+    'cdn.pathSubmitted': 'Submitted {count} directories',
+    'cdn.pathFailed': 'Failed to purge {count} directories:',
+    'edgeone.invalidUrls': 'Invalid URLs: {urls}',
+    'edgeone.zonesFailed': 'Failed to list zones:',
+    'edgeone.zoneNotFound': 'No ZoneId found for {domain}, skipped',
+    'edgeone.quotaFailed': 'Failed to get the quota of zone {zoneId}, skipped:',
+    'edgeone.quota': 'Zone {zoneId} quota: {batch} per batch / {daily} per day / {available} remaining',
+    'edgeone.hostStrategy': 'Zone {zoneId} strategy: purge by hostname (free plan quota exceeded, {count} URLs > {available} remaining)',
+    'edgeone.urlStrategy': 'Zone {zoneId} strategy: purge by URL, {tasks} tasks',
+    'edgeone.purged': 'Purge task created: Type={type}, count={count}',
+    'edgeone.purgeFailed': 'Failed to create purge task (ZoneId: {zoneId}):',
+    'purge.waiting': 'Waiting for {count} purge tasks (up to {timeout})',
+    'purge.queryFailed': 'Failed to query purge task {id}:',
+    'purge.taskFailed': 'Purge task {id} failed for {count} targets:\n  {targets}',
+    'purge.taskTimeout': 'Purge task {id} timed out for {count} targets:\n  {targets}',
+    'purge.tasksSummary': 'Purge tasks: {done} done, {failed} failed, {timeout} timed out',
+    'prefetch.quota': 'Prefetch quota: {batch} per request / {available} remaining',
+    'prefetch.quotaFailed': 'Failed to query prefetch quota, using default batch size:',
+    'prefetch.quotaExhausted': 'Prefetch quota exhausted, {count} URLs were not prefetched ({available} remaining)',
+    'prefetch.submitted': 'Submitted {count} URLs',
+    'prefetch.failed': 'Failed to prefetch {count} URLs:',
+    'prefetch.zonesFailed': 'Failed to list zones, prefetch skipped:',
+    'prefetch.zoneNotFound': 'No ZoneId found for {domain}, prefetch skipped',
+
+    'progress.eta': 'ETA {time}',
+    'progress.summary': 'Progress {progress}',
+
+    'preview.notice': 'Dry run, COS and caches will not be modified',
+    'plan.group': '{title} ({count}):',
+    'plan.upload': 'Upload',
+    'plan.delete': 'Delete',
+    'plan.purge': 'Purge',
+    'plan.prefetch': 'Prefetch',
+    'plan.website': 'Website changes',
+    'plan.restore': 'Restore',
+
+    'report.written': 'Written to {file}',
+    'report.writeFailed': 'Failed to write:',
+    'report.title': 'Deploy report',
+    'report.dryRun': ' (dry run)',
+    'report.bucket': 'Bucket: `{bucket}` ({region})',
+    'report.target': 'Target {name}: `{bucket}` ({region}), {result}',
+    'report.result': 'Result: {result} in {duration}s',
+    'report.success': 'succeeded',
+    'report.failure': 'failed',
+    'report.counts': '| Uploaded | Skipped | Deleted | Purged URLs | Purged directories | Purged hosts | Errors |',
+    'report.timings': '| Stage | Duration (ms) |',
+    'report.errors': 'Errors',
+    'failure.summary': 'Deploy failed ({counts} errors):',
+    'failure.count': '{count} {stage}',
+    'failure.separator': ', ',
+    'failure.more': '... and {count} more errors',
+    'stage.upload': 'upload',
+    'stage.delete': 'delete',
+    'stage.purge': 'purge',
+    'stage.deploy': 'deploy',
+
+    'release.archived': 'Archived {count} files',
+    'release.saved': 'Recorded release {id} ({count} files)',
+    'release.versioningDisabled': 'Bucket versioning is not enabled, overwritten or deleted files cannot be restored by rollback',
+    'release.versionNotFound': 'No previous version of {key} found (ETag: {etag}), make sure bucket versioning is enabled',
+    'release.notFound': 'Release not found: {id}',
+    'release.previous': 'previous release',
+    'release.empty': 'No releases recorded',
+    'release.current': ' (current)',
+    'release.listFailed': 'Failed to list releases:',
+    'rollback.start': 'Rolling back to {id}: restoring {restore} files, deleting {delete} files',
+    'rollback.restored': 'Restored: {key}',
+    'rollback.summary': 'Restored: {restore} files | Deleted: {delete} files | Purged: {purge} URLs',
+    'rollback.failed': 'Failed:',
+    'console.usage': 'Usage:\n  hexo tencent releases               List releases\n  hexo tencent rollback [release-id]  Roll back to a release (defaults to the previous one)',
+
+    'credentials.source': 'Credential source: {source}, AssumeRole: {role}',
+    'credentials.assumed': 'Obtained temporary credentials for {role}, valid until {expiration}',
+    'credentials.failed': 'Failed to obtain temporary credentials:',
+
+    'redirect.loaded': 'Loaded {count} redirect rules',
+    'redirect.fileMissing': '{file} not found in upload_dir, using the redirects config only',
+    'redirect.invalidLine': 'Ignoring invalid line {line} in {file}: {content}',
+    'redirect.unsupportedLine': 'Ignoring line {line} in {file}, only plain 3xx redirects of a single path are supported (no rewrites, splats, placeholders or conditions): {content}',
+    'redirect.conflict': 'A local file exists at {key}, ignoring its redirect to {location}',
+    'website.unchanged': 'Website configuration unchanged',
+    'website.updated': 'Updated website configuration:\n  {changes}',
+    'website.rulesDropped': '{count} routing rule(s) on the bucket are not in the website config and will be removed:\n  {rules}',
+    'website.failed': 'Failed to sync website configuration:',
+    'targets.failed': '{count} targets failed, purging caches for the succeeded targets only',
+    'targets.purgeSkipped': '{count} targets failed, skipping cache purge and remote deletion so targets do not serve different versions',
+    'deploy.summary': 'Uploaded: {upload} files | Deleted: {delete} files | Purged: {purge} URLs',
+    'deploy.summaryWithPrefetch': 'Uploaded: {upload} files | Deleted: {delete} files | Purged: {purge} URLs | Prefetched: {prefetch} URLs',
+    'deploy.done': 'Done!',
+    'deploy.failed': 'Failed:'
+  }
+};
@@ -4,9 +4,11 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
+const zlib = require('zlib');
 
+const COS = require('cos-nodejs-sdk-v5');
 const deployer = require('../lib/deployer');
-const { _validateConfig, _calculateMD5, _getFiles, _withRetry, _buildPurgeUrls } = deployer;
+const { _validateConfig, _calculateMD5, _getFiles, _withRetry, _buildPurgeUrls, _planCdnPurge, _isExcluded, _splitPhases, _main, _createReport, _writeReport, _collectFailures, _rollback, _listReleases, _createCredentialProvider, _initClients, _createRateLimiter, _throttleClient } = deployer;
 
 // ============================================================
 // 测试工具：创建临时目录和文件
@@ -24,13 +26,160 @@ function createFile(dir, relPath, content) {
   return fullPath;
 }
 
-function makeHexo(config) {
+function makeHexo(config, baseDir = '/tmp/test-hexo') {
   return {
     config: { deploy: config },
-    base_dir: '/tmp/test-hexo'
+    base_dir: baseDir
   };
 }
 
+// 测试套件共用的上传目录：每个用例前创建临时目录，结束后删除
+// makeConfig 在 VALID_CONFIG 与套件默认配置上叠加 extra，并将 uploadDir 指向该目录；
+// hexoRoot 为 true 时该目录作为 Hexo 根目录，uploadDir 为其下的 public
+function useUploadDir(defaults = {}, { hexoRoot = false } = {}) {
+  const upload = {
+    dir: null,
+    makeConfig: (extra = {}) => ({
+      ..._validateConfig(makeHexo({ ...VALID_CONFIG, ...defaults, ...extra }, hexoRoot ? upload.dir : undefined)),
+      uploadDir: hexoRoot ? path.join(upload.dir, 'public') : upload.dir
+    })
+  };
+  beforeEach(() => { upload.dir = createTempDir(); });
+  afterEach(() => fs.rmSync(upload.dir, { recursive: true, force: true }));
+  return upload;
+}
+
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function pickMeta(params) {
+  return Object.fromEntries(Object.entries(params.Headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+const FAKE_COS_OWNER = 'qcs::cam::uin/100000000001:uin/100000000001';
+
+// 模拟 COS 客户端（开启版本控制）：remote 为 Key → 内容 的映射，calls 记录所有调用
+function createFakeCos(remote = {}, calls = []) {
+  const objects = new Map();
+  const versions = [];
+  const store = (Key, obj) => {
+    const stored = { ...obj, VersionId: `v${versions.length + 1}` };
+    objects.set(Key, stored);
+    versions.push({ Key, ...stored });
+    return stored;
+  };
+  Object.entries(remote).forEach(([key, content]) => {
+    store(key, { ETag: `"${md5(content)}"`, Size: String(content.length), Body: Buffer.from(content), meta: {} });
+  });
+  return {
+    objects,
+    versions,
+    calls,
+    headObject: async (params) => {
+      calls.push(['headObject', params.Key]);
+      const obj = objects.get(params.Key);
+      if (!obj) throw Object.assign(new Error('NotFound'), { statusCode: 404 });
+      return { ETag: obj.ETag, headers: { ...obj.meta } };
+    },
+    getBucket: (params, callback) => {
+      calls.push(['getBucket', params.Prefix || '']);
+      const Contents = Array.from(objects.entries())
+        .filter(([Key]) => Key.startsWith(params.Prefix || ''))
+        .map(([Key, { ETag, Size, meta }]) => ({ Key, ETag, Size, StorageClass: meta['x-cos-storage-class'] || 'STANDARD' }));
+      callback(null, { Contents });
+    },
+    getObject: async (params) => {
+      calls.push(['getObject', params.Key]);
+      const obj = objects.get(params.Key);
+      if (!obj) throw Object.assign(new Error('NotFound'), { statusCode: 404 });
+      return { Body: obj.Body };
+    },
+    putObject: async (params) => {
+      calls.push(['putObject', params.Key]);
+      let body = params.Body;
+      if (typeof body === 'string') body = Buffer.from(body);
+      if (!Buffer.isBuffer(body)) {
+        const chunks = [];
+        for await (const chunk of body) chunks.push(chunk);
+        body = Buffer.concat(chunks);
+      }
+      const { ETag, VersionId } = store(params.Key, { ETag: `"${md5(body)}"`, Size: String(body.length), Body: body, meta: pickMeta(params) });
+      return { ETag, VersionId };
+    },
+    sliceUploadFile: async (params) => {
+      calls.push(['sliceUploadFile', params.Key]);
+      const body = fs.readFileSync(params.FilePath);
+      const ETag = `"${md5(md5(body))}-${Math.ceil(body.length / params.ChunkSize)}"`;
+      const { VersionId } = store(params.Key, { ETag, Size: String(body.length), Body: body, meta: pickMeta(params) });
+      return { ETag, VersionId };
+    },
+    putObjectCopy: async (params) => {
+      calls.push(['putObjectCopy', params.Key]);
+      const [, encodedKey, versionId] = params.CopySource.match(/^[^/]+\/([^?]+)(?:\?versionId=(.+))?$/);
+      const sourceKey = decodeURIComponent(encodedKey);
+      const source = versionId
+        ? versions.find(v => v.Key === sourceKey && v.VersionId === decodeURIComponent(versionId))
+        : objects.get(sourceKey);
+      if (!source) throw Object.assign(new Error('NoSuchKey'), { statusCode: 404 });
+      const meta = params.MetadataDirective === 'Replaced' ? pickMeta(params) : source.meta;
+      const { ETag, VersionId } = store(params.Key, { ETag: source.ETag, Size: source.Size, Body: source.Body, meta });
+      return { ETag, VersionId };
+    },
+    // 与 COS 一致：被授权者展开为完整 ID 并去掉存储桶所有者，ACL 由授权推断（default 与 private 无法区分）
+    getObjectAcl: async (params) => {
+      calls.push(['getObjectAcl', params.Key]);
+      const { meta } = objects.get(params.Key);
+      const grants = (header) => (meta[header] || '').split(',').map(item => item.trim()).filter(Boolean)
+        .map(item => item.replace(/^id="(\d+)"$/, 'id="qcs::cam::uin/$1:uin/$1"'))
+        .filter(item => item !== `id="${FAKE_COS_OWNER}"`)
+        .join(',');
+      return {
+        ACL: meta['x-cos-acl'] === 'public-read' ? 'public-read' : 'private',
+        GrantRead: grants('x-cos-grant-read'),
+        GrantReadAcp: grants('x-cos-grant-read-acp'),
+        GrantWriteAcp: grants('x-cos-grant-write-acp'),
+        GrantFullControl: grants('x-cos-grant-full-control'),
+        Owner: { ID: FAKE_COS_OWNER }
+      };
+    },
+    getBucketVersioning: async () => ({ VersioningConfiguration: { Status: 'Enabled' } }),
+    listObjectVersions: async (params) => {
+      calls.push(['listObjectVersions', params.Prefix]);
+      return { Versions: versions.filter(v => v.Key.startsWith(params.Prefix)).reverse(), IsTruncated: 'false' };
+    },
+    deleteMultipleObject: async (params) => {
+      calls.push(['deleteMultipleObject', params.Objects.map(o => o.Key)]);
+      params.Objects.forEach(o => objects.delete(o.Key));
+      return {};
+    }
+  };
+}
+
+// 模拟腾讯云 API 客户端：responses 为 Action → 返回值 的映射
+function createFakeApi(calls = [], responses = {}) {
+  return {
+    calls,
+    request: async (action, params) => {
+      calls.push([action, params]);
+      return responses[action] || {};
+    }
+  };
+}
+
+// 模拟 setTimeout 并持续推进时间，跳过 withRetry 的重试等待（apis 可加入 Date 以推进 Date.now）
+async function skipRetryDelay(t, fn, apis = ['setTimeout']) {
+  t.mock.timers.enable({ apis });
+  let settled = false;
+  const promise = fn();
+  promise.catch(() => {}).finally(() => { settled = true; });
+  while (!settled) {
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(10000);
+  }
+  return promise;
+}
+
 const VALID_CONFIG = {
   secret_id: 'AKIDxxxxxx',
   secret_key: 'xxxxxx',
@@ -157,6 +306,41 @@ describe('validateConfig - concurrency bounds', () => {
   });
 });
 
+// ============================================================
+// D8: dry-run 测试
+// ============================================================
+
+describe('dry-run', () => {
+  const upload = useUploadDir();
+
+  it('dry_run 默认关闭', () => {
+    assert.equal(_validateConfig(makeHexo(VALID_CONFIG)).dryRun, false);
+  });
+
+  it('支持配置项 dry_run 与命令行 --dry-run', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, dry_run: true })).dryRun, true);
+    assert.equal(_validateConfig(makeHexo(VALID_CONFIG), { 'dry-run': true }).dryRun, true);
+  });
+
+  it('只计算部署计划，不调用任何写入接口', async (t) => {
+    createFile(upload.dir, 'index.html', 'new');
+    createFile(upload.dir, 'css/style.css', 'same');
+    const cos = createFakeCos({ 'index.html': 'old', 'css/style.css': 'same', 'stale.html': 'stale' });
+    const cdn = createFakeApi();
+    const info = t.mock.method(console, 'info', () => {});
+
+    const config = upload.makeConfig({ remove_remote_files: true, dry_run: true });
+    await _main(config, { cos, cdn, edgeone: createFakeApi() });
+
+    assert.ok(!cos.calls.some(([name]) => name === 'putObject' || name === 'deleteMultipleObject'));
+    assert.equal(cdn.calls.length, 0);
+    const output = info.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+    assert.match(output, /上传（1）:\n  index\.html/);
+    assert.match(output, /删除（1）:\n  stale\.html/);
+    assert.match(output, /刷新（1）:\n  https:\/\/example\.com\/index\.html/);
+  });
+});
+
 // ============================================================
 // D2: calculateMD5 测试
 // ============================================================
@@ -244,6 +428,88 @@ describe('getFiles', () => {
     const files = await _getFiles(tmpDir);
     assert.deepEqual(files, []);
   });
+
+  it('filter 可剪枝目录并过滤文件', async () => {
+    createFile(tmpDir, 'a.txt', 'a');
+    createFile(tmpDir, 'a.txt.map', 'map');
+    createFile(tmpDir, 'skip/b.txt', 'b');
+
+    const files = await _getFiles(tmpDir, {
+      filter: (key, isDirectory) => isDirectory ? key !== 'skip' : !key.endsWith('.map')
+    });
+    assert.deepEqual(files.map(f => path.relative(tmpDir, f)), ['a.txt']);
+  });
+
+  it('followSymlinks=false 时跳过符号链接', async () => {
+    createFile(tmpDir, 'real/a.txt', 'a');
+    fs.symlinkSync(path.join(tmpDir, 'real'), path.join(tmpDir, 'link'));
+
+    assert.equal((await _getFiles(tmpDir)).length, 2);
+    const ignored = [];
+    assert.equal((await _getFiles(tmpDir, { followSymlinks: false, onIgnoredSymlink: key => ignored.push(key) })).length, 1);
+    assert.deepEqual(ignored, ['link']);
+  });
+});
+
+// ============================================================
+// D14: exclude / include 测试
+// ============================================================
+
+describe('exclude / include', () => {
+  const upload = useUploadDir({ cdn_domains: [] });
+  const { makeConfig } = upload;
+
+  it('exclude / include 必须为字符串数组，策略值需合法', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, exclude: '**/*.map' })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, dotfiles: 'deny' })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, symlinks: 'copy' })), null);
+  });
+
+  it('isExcluded 按 exclude、include、dotfiles 判断', () => {
+    const config = makeConfig({ exclude: ['**/*.map', '/drafts'], include: ['**/*.html', '**/*.js', '**/*.map'], dotfiles: 'ignore' });
+    assert.equal(_isExcluded(config, 'js/app.js'), false);
+    assert.equal(_isExcluded(config, 'js/app.js.map'), true);
+    assert.equal(_isExcluded(config, 'drafts/post.html'), true);
+    assert.equal(_isExcluded(config, 'drafts', true), true);
+    assert.equal(_isExcluded(config, 'img/logo.png'), true);
+    assert.equal(_isExcluded(config, 'img', true), false);
+    assert.equal(_isExcluded(config, '.git/HEAD'), true);
+  });
+
+  it('排除的文件不上传，且默认不删除其远程副本', async () => {
+    createFile(upload.dir, 'index.html', 'home');
+    createFile(upload.dir, 'app.js.map', 'map');
+    createFile(upload.dir, '.DS_Store', 'ds');
+    const cos = createFakeCos({ 'old.js.map': 'map', 'stale.html': 'stale' });
+
+    await _main(makeConfig({ exclude: ['**/*.map'], dotfiles: 'ignore', remove_remote_files: true }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'putObject').map(([, k]) => k), ['index.html']);
+    assert.deepEqual(cos.calls.find(([n]) => n === 'deleteMultipleObject')[1], ['stale.html']);
+  });
+
+  it('delete_excluded 开启时删除被排除文件的远程副本', async () => {
+    createFile(upload.dir, 'index.html', 'home');
+    const cos = createFakeCos({ 'index.html': 'home', 'old.js.map': 'map' });
+
+    await _main(makeConfig({ exclude: ['**/*.map'], remove_remote_files: true, delete_excluded: true }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+    assert.deepEqual(cos.calls.find(([n]) => n === 'deleteMultipleObject')[1], ['old.js.map']);
+  });
+
+  it('symlinks: ignore 时保留被忽略符号链接的远程副本', async () => {
+    const shared = createTempDir();
+    createFile(shared, 'a.txt', 'a');
+    createFile(upload.dir, 'index.html', 'home');
+    fs.symlinkSync(shared, path.join(upload.dir, 'shared'));
+    fs.symlinkSync(path.join(shared, 'a.txt'), path.join(upload.dir, 'a.txt'));
+    const cos = createFakeCos({ 'shared/a.txt': 'a', 'a.txt': 'a', 'shared-old.txt': 'old' });
+
+    try {
+      await _main(makeConfig({ symlinks: 'ignore', remove_remote_files: true }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+      assert.deepEqual(cos.calls.find(([n]) => n === 'deleteMultipleObject')[1], ['shared-old.txt']);
+    } finally {
+      fs.rmSync(shared, { recursive: true, force: true });
+    }
+  });
 });
 
 // ============================================================
@@ -542,6 +808,1977 @@ describe('buildPurgeUrls', () => {
   });
 });
 
+// ============================================================
+// D9: 部署清单测试
+// ============================================================
+
+describe('manifest', () => {
+  const upload = useUploadDir({ cdn_domains: [] }, { hexoRoot: true });
+  const { makeConfig } = upload;
+
+  const countCalls = (cos, name) => cos.calls.filter(([n]) => n === name).length;
+
+  it('manifest 默认关闭，true 等同于 local', () => {
+    assert.equal(makeConfig().manifest, null);
+    assert.equal(makeConfig({ manifest: true }).manifest, 'local');
+    assert.equal(makeConfig({ manifest: 'both' }).manifest, 'both');
+  });
+
+  it('无效 manifest 模式返回 null', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, manifest: 'disk' })), null);
+  });
+
+  it('清单命中时跳过 headObject，verify_remote 强制校验', async () => {
+    createFile(upload.dir, 'public/a.html', 'a');
+    createFile(upload.dir, 'public/b.html', 'b');
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+
+    await _main(makeConfig({ manifest: 'local' }), clients);
+    assert.equal(countCalls(cos, 'putObject'), 2);
+    const saved = JSON.parse(fs.readFileSync(path.join(upload.dir, '.deploy_tencent/manifest.json'), 'utf8'));
+    assert.equal(saved.files['a.html'].md5, md5('a'));
+
+    cos.calls.length = 0;
+    await _main(makeConfig({ manifest: 'local' }), clients);
+    assert.equal(countCalls(cos, 'headObject'), 0);
+    assert.equal(countCalls(cos, 'putObject'), 0);
+
+    await _main(makeConfig({ manifest: 'local', verify_remote: true }), clients);
+    assert.equal(countCalls(cos, 'headObject'), 2);
+  });
+
+  it('remote 模式将清单存入存储桶，且不会被 remove_remote_files 删除', async () => {
+    createFile(upload.dir, 'public/a.html', 'a');
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    const config = makeConfig({ manifest: 'remote', remove_remote_files: true });
+
+    await _main(config, clients);
+    await _main(config, clients);
+    assert.ok(cos.objects.has('.deploy_tencent/manifest.json'));
+    assert.equal(countCalls(cos, 'deleteMultipleObject'), 0);
+  });
+
+  it('已列举存储桶时，远程缺失或 ETag 不一致的清单命中重新上传', async () => {
+    ['a', 'b', 'c'].forEach(name => createFile(upload.dir, `public/${name}.html`, name));
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    const config = makeConfig({ manifest: 'local', remove_remote_files: true });
+
+    await _main(config, clients);
+    // 模拟在控制台删除 a.html、覆盖 b.html
+    cos.objects.delete('a.html');
+    cos.objects.set('b.html', { ...cos.objects.get('b.html'), ETag: `"${md5('other')}"`, Body: Buffer.from('other') });
+    cos.calls.length = 0;
+
+    await _main(config, clients);
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'putObject').map(([, key]) => key).sort(), ['a.html', 'b.html']);
+    assert.equal(cos.objects.get('a.html').Body.toString(), 'a');
+    assert.equal(cos.objects.get('b.html').Body.toString(), 'b');
+  });
+});
+
+// ============================================================
+// D10: 基于列举结果的差异比对测试
+// ============================================================
+
+describe('compare mode', () => {
+  const upload = useUploadDir({ cdn_domains: [] });
+
+  beforeEach(() => {
+    createFile(upload.dir, 'same.html', 'same');
+    createFile(upload.dir, 'changed.html', 'new');
+    createFile(upload.dir, 'added.html', 'added');
+  });
+
+  const run = async (deploy) => {
+    const cos = createFakeCos({ 'same.html': 'same', 'changed.html': 'old' });
+    const config = upload.makeConfig(deploy);
+    await _main(config, { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+    const names = cos.calls.map(([name]) => name);
+    const uploaded = cos.calls.filter(([name]) => name === 'putObject').map(([, key]) => key).sort();
+    return { names, uploaded };
+  };
+
+  it('无效 compare_mode 返回 null', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, compare_mode: 'etag' })), null);
+  });
+
+  it('list 模式使用列举结果比对，不调用 headObject', async () => {
+    const { names, uploaded } = await run({ compare_mode: 'list' });
+    assert.ok(names.includes('getBucket'));
+    assert.ok(!names.includes('headObject'));
+    assert.deepEqual(uploaded, ['added.html', 'changed.html']);
+  });
+
+  it('auto 模式在开启 remove_remote_files 时复用列举结果', async () => {
+    const { names } = await run({ remove_remote_files: true });
+    assert.ok(!names.includes('headObject'));
+  });
+
+  it('auto 模式在文件较少时逐个 headObject', async () => {
+    const { names, uploaded } = await run({});
+    assert.ok(!names.includes('getBucket'));
+    assert.equal(names.filter(n => n === 'headObject').length, 3);
+    assert.deepEqual(uploaded, ['added.html', 'changed.html']);
+  });
+
+  it('head 模式即使开启 remove_remote_files 也逐个 headObject', async () => {
+    const { names } = await run({ compare_mode: 'head', remove_remote_files: true });
+    assert.equal(names.filter(n => n === 'headObject').length, 3);
+  });
+});
+
+// ============================================================
+// D11: 分块上传测试
+// ============================================================
+
+describe('multipart upload', () => {
+  const upload = useUploadDir({ cdn_domains: [], multipart_threshold: 1, multipart_chunk_size: 1 });
+  const { makeConfig } = upload;
+
+  const MB = 1024 * 1024;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'video.mp4', Buffer.alloc(MB + 1, 'v'));
+    createFile(upload.dir, 'index.html', 'home');
+  });
+
+  it('multipart_threshold 默认 20MB，非正数返回 null', () => {
+    const cfg = { ...VALID_CONFIG };
+    assert.equal(_validateConfig(makeHexo(cfg)).multipartThreshold, 20 * MB);
+    assert.equal(_validateConfig(makeHexo({ ...cfg, multipart_threshold: 0 })), null);
+    assert.equal(_validateConfig(makeHexo({ ...cfg, multipart_chunk_size: '8' })), null);
+  });
+
+  it('超过阈值的文件使用分块上传，并写入 x-cos-meta-md5', async () => {
+    const cos = createFakeCos();
+    await _main(makeConfig(), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'sliceUploadFile').map(([, k]) => k), ['video.mp4']);
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'putObject').map(([, k]) => k), ['index.html']);
+    assert.equal(cos.objects.get('video.mp4').meta['x-cos-meta-md5'], md5(Buffer.alloc(MB + 1, 'v')));
+  });
+
+  for (const compare_mode of ['list', 'head']) {
+    it(`分块上传的文件再次部署不会重复上传（${compare_mode}）`, async () => {
+      const cos = createFakeCos();
+      const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+      await _main(makeConfig({ compare_mode }), clients);
+      cos.calls.length = 0;
+      await _main(makeConfig({ compare_mode }), clients);
+      assert.ok(!cos.calls.some(([n]) => n === 'sliceUploadFile' || n === 'putObject'));
+    });
+  }
+});
+
+// ============================================================
+// D12: headers 规则测试
+// ============================================================
+
+describe('header rules', () => {
+  const upload = useUploadDir();
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'home');
+    createFile(upload.dir, 'js/app.js', 'app');
+  });
+
+  const IMMUTABLE = { pattern: ['/js/**', 'css/**'], headers: { 'Cache-Control': 'max-age=31536000, immutable' } };
+  const NO_CACHE = { pattern: '**/*.html', headers: { 'Cache-Control': 'no-cache', 'x-cos-meta-page': 1 } };
+  const makeConfig = (rules, extra = {}) => upload.makeConfig({ headers: rules, ...extra });
+
+  it('headers 规则格式校验', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, headers: {} })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, headers: [{ pattern: '**' }] })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, headers: [{ headers: { a: 'b' } }] })), null);
+  });
+
+  it('上传时按匹配规则写入头部和元数据', async () => {
+    const cos = createFakeCos();
+    await _main(makeConfig([IMMUTABLE, NO_CACHE]), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+    assert.equal(cos.objects.get('js/app.js').meta['cache-control'], 'max-age=31536000, immutable');
+    assert.equal(cos.objects.get('index.html').meta['cache-control'], 'no-cache');
+    assert.equal(cos.objects.get('index.html').meta['x-cos-meta-page'], '1');
+  });
+
+  for (const compare_mode of ['list', 'head']) {
+    it(`内容未变但规则变化时通过服务端复制更新头部并刷新缓存（${compare_mode}）`, async () => {
+      const cos = createFakeCos();
+      await _main(makeConfig([IMMUTABLE], { compare_mode }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+      cos.calls.length = 0;
+
+      const cdn = createFakeApi();
+      await _main(makeConfig([IMMUTABLE, NO_CACHE], { compare_mode }), { cos, cdn, edgeone: createFakeApi() });
+      assert.deepEqual(cos.calls.filter(([n]) => n === 'putObjectCopy').map(([, k]) => k), ['index.html']);
+      assert.ok(!cos.calls.some(([n]) => n === 'putObject'));
+      assert.equal(cos.objects.get('index.html').meta['cache-control'], 'no-cache');
+      assert.deepEqual(cdn.calls.find(([n]) => n === 'PurgeUrlsCache')[1].Urls, ['https://example.com/index.html']);
+
+      cos.calls.length = 0;
+      await _main(makeConfig([IMMUTABLE, NO_CACHE], { compare_mode }), { cos, cdn, edgeone: createFakeApi() });
+      assert.ok(!cos.calls.some(([n]) => n === 'putObjectCopy' || n === 'putObject'));
+    });
+  }
+
+  for (const extra of [{ manifest: 'remote' }, { release: true }]) {
+    it(`移除全部规则后，列举比对按记录的头部指纹复制清除旧头部（${Object.keys(extra)[0]}）`, async () => {
+      const cos = createFakeCos();
+      await _main(makeConfig([IMMUTABLE, NO_CACHE], { compare_mode: 'list', ...extra }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+      cos.calls.length = 0;
+
+      await _main(makeConfig(undefined, { compare_mode: 'list', ...extra }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+      assert.deepEqual(cos.calls.filter(([n]) => n === 'putObjectCopy').map(([, k]) => k).sort(), ['index.html', 'js/app.js']);
+      assert.equal(cos.objects.get('index.html').meta['cache-control'], undefined);
+      assert.equal(cos.objects.get('js/app.js').meta['cache-control'], undefined);
+      assert.equal(cos.objects.get('index.html').meta['content-type'], 'text/html');
+
+      cos.calls.length = 0;
+      await _main(makeConfig(undefined, { compare_mode: 'list', ...extra }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+      assert.deepEqual(cos.calls.filter(([n, k]) => ['putObjectCopy', 'putObject', 'headObject'].includes(n) && !k.startsWith('.deploy_tencent/')), []);
+    });
+  }
+
+  it('仅更新头部时保留 Content-Type，并逐段编码 CopySource', async () => {
+    createFile(upload.dir, 'css/theme #1?.css', 'theme');
+    const cos = createFakeCos();
+    await _main(makeConfig([]), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    const copySources = [];
+    const putObjectCopy = cos.putObjectCopy;
+    cos.putObjectCopy = (params) => { copySources.push(params.CopySource); return putObjectCopy(params); };
+    await _main(makeConfig([IMMUTABLE, NO_CACHE, { pattern: 'js/**', headers: { 'Content-Type': 'text/plain' } }]), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.equal(cos.objects.get('css/theme #1?.css').meta['content-type'], 'text/css');
+    assert.equal(cos.objects.get('css/theme #1?.css').meta['cache-control'], 'max-age=31536000, immutable');
+    assert.equal(cos.objects.get('index.html').meta['content-type'], 'text/html');
+    assert.equal(cos.objects.get('js/app.js').meta['content-type'], 'text/plain');
+    assert.ok(copySources.includes('test-123.cos.ap-guangzhou.myqcloud.com/css/theme%20%231%3F.css'));
+  });
+});
+
+// ============================================================
+// D13: 预压缩测试
+// ============================================================
+
+describe('compress', () => {
+  const upload = useUploadDir({ cdn_domains: [] });
+  const { makeConfig } = upload;
+
+  const HTML = '<html>' + 'x'.repeat(2048) + '</html>';
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', HTML);
+    createFile(upload.dir, 'small.css', 'a{}');
+    createFile(upload.dir, 'logo.png', 'x'.repeat(2048));
+  });
+
+  it('compress 支持字符串简写与默认值', () => {
+    const result = makeConfig({ compress: 'br' });
+    assert.equal(result.compress.algorithm, 'br');
+    assert.equal(result.compress.minSize, 1024);
+    assert.ok(result.compress.extensions.includes('.html'));
+  });
+
+  it('无效压缩配置返回 null', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, compress: 'zip' })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, compress: { algorithm: 'gzip', extensions: ['html'] } })), null);
+  });
+
+  it('仅压缩匹配扩展名且超过阈值的文件', async () => {
+    const cos = createFakeCos();
+    await _main(makeConfig({ compress: 'gzip' }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+    const html = cos.objects.get('index.html');
+    assert.equal(zlib.gunzipSync(html.Body).toString(), HTML);
+    assert.equal(html.meta['content-encoding'], 'gzip');
+    assert.equal(html.meta['content-type'], 'text/html; charset=utf-8');
+    assert.equal(html.meta['x-cos-meta-md5'], md5(HTML));
+    assert.equal(cos.objects.get('small.css').meta['content-encoding'], undefined);
+    assert.equal(cos.objects.get('logo.png').meta['content-encoding'], undefined);
+  });
+
+  for (const compare_mode of ['list', 'head']) {
+    it(`预压缩文件再次部署不会重复上传（${compare_mode}）`, async () => {
+      const cos = createFakeCos();
+      const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+      await _main(makeConfig({ compress: 'br', compare_mode }), clients);
+      cos.calls.length = 0;
+      await _main(makeConfig({ compress: 'br', compare_mode }), clients);
+      assert.ok(!cos.calls.some(([n]) => n === 'putObject' || n === 'putObjectCopy'));
+    });
+  }
+
+  it('关闭压缩后重新上传原始内容，而不是仅更新头部', async () => {
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    await _main(makeConfig({ compress: 'gzip' }), clients);
+    cos.calls.length = 0;
+    await _main(makeConfig({ compare_mode: 'head' }), clients);
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'putObject').map(([, k]) => k), ['index.html']);
+    assert.equal(cos.objects.get('index.html').Body.toString(), HTML);
+  });
+});
+
+// ============================================================
+// D15: remote_dir 测试
+// ============================================================
+
+describe('remote_dir', () => {
+  const upload = useUploadDir({ remove_remote_files: true });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'docs home');
+    createFile(upload.dir, 'guide/index.html', 'guide');
+  });
+
+  it('remote_dir 标准化，prefix 为别名', () => {
+    assert.equal(makeConfig({ remote_dir: '/docs/' }).remotePrefix, 'docs/');
+    assert.equal(makeConfig({ prefix: 'a/b' }).remotePrefix, 'a/b/');
+    assert.equal(makeConfig().remotePrefix, '');
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, remote_dir: '../x' })), null);
+  });
+
+  it('上传、列举和删除都限定在 remote_dir 内', async () => {
+    const cos = createFakeCos({ 'index.html': 'main site', 'docs/old.html': 'old' });
+    await _main(makeConfig({ remote_dir: 'docs' }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'getBucket').map(([, prefix]) => prefix), ['docs/']);
+    assert.deepEqual(cos.calls.filter(([n]) => n === 'putObject').map(([, k]) => k).sort(), ['docs/guide/index.html', 'docs/index.html']);
+    assert.deepEqual(cos.calls.find(([n]) => n === 'deleteMultipleObject')[1], ['docs/old.html']);
+    assert.ok(cos.objects.has('index.html'));
+  });
+
+  it('刷新 URL 默认带上 remote_dir，可按域名通过 path_prefix 覆盖', async () => {
+    const cdn = createFakeApi();
+    await _main(makeConfig({
+      remote_dir: 'docs',
+      refresh_index_page: true,
+      cdn_domains: [{ domain: 'https://example.com' }, { domain: 'https://docs.example.com', path_prefix: '/' }]
+    }), { cos: createFakeCos(), cdn, edgeone: createFakeApi() });
+
+    assert.deepEqual(cdn.calls.find(([n]) => n === 'PurgeUrlsCache')[1].Urls.sort(), [
+      'https://docs.example.com/',
+      'https://docs.example.com/guide/',
+      'https://example.com/docs/',
+      'https://example.com/docs/guide/'
+    ]);
+  });
+});
+
+// ============================================================
+// D16: 分阶段上传测试
+// ============================================================
+
+describe('upload phases', () => {
+  const upload = useUploadDir({ remove_remote_files: true });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'home');
+    createFile(upload.dir, 'atom.xml', 'feed');
+    createFile(upload.dir, 'css/style.css', 'css');
+    createFile(upload.dir, 'js/app.js', 'js');
+  });
+
+  it('upload_phases 格式校验', () => {
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, upload_phases: '**/*.html' })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, upload_phases: [[]] })), null);
+  });
+
+  it('默认将 HTML 与 feed 放在静态资源之后', () => {
+    const tasks = ['index.html', 'css/style.css', 'atom.xml', 'js/app.js'].map(key => ({ key }));
+    const phases = _splitPhases(makeConfig(), tasks);
+    assert.deepEqual(phases.map(phase => phase.map(t => t.key)), [['css/style.css', 'js/app.js'], ['index.html', 'atom.xml']]);
+  });
+
+  it('自定义阶段按顺序排列，upload_phases 为空时只有一个阶段', () => {
+    const tasks = ['index.html', 'css/style.css', 'js/app.js'].map(key => ({ key }));
+    const custom = _splitPhases(makeConfig({ upload_phases: ['js/**', '**/*.html'] }), tasks);
+    assert.deepEqual(custom.map(phase => phase.map(t => t.key)), [['css/style.css'], ['js/app.js'], ['index.html']]);
+    assert.equal(_splitPhases(makeConfig({ upload_phases: [] }), tasks).length, 1);
+  });
+
+  it('静态资源先上传，刷新缓存后才删除远程文件', async () => {
+    const calls = [];
+    const cos = createFakeCos({ 'old.html': 'old' }, calls);
+    await _main(makeConfig(), { cos, cdn: createFakeApi(calls), edgeone: createFakeApi() });
+
+    const order = calls.map(([name, arg]) => name === 'putObject' ? arg : name).filter(n => n !== 'getBucket');
+    assert.deepEqual(order.slice(0, 2).sort(), ['css/style.css', 'js/app.js']);
+    assert.deepEqual(order.slice(2, 4).sort(), ['atom.xml', 'index.html']);
+    assert.deepEqual(order.slice(4), ['DescribePurgeQuota', 'PurgeUrlsCache', 'deleteMultipleObject']);
+  });
+
+  it('阶段失败时终止后续阶段、刷新与删除', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const cos = createFakeCos({ 'old.html': 'old' });
+    const putObject = cos.putObject;
+    cos.putObject = async (params) => {
+      if (params.Key === 'js/app.js') throw new Error('upload failed');
+      return putObject(params);
+    };
+    const cdn = createFakeApi();
+    const config = { ...makeConfig(), concurrency: 1 };
+
+    await assert.rejects(skipRetryDelay(t, () => _main(config, { cos, cdn, edgeone: createFakeApi() })), /upload failed/);
+    assert.ok(!cos.objects.has('index.html'));
+    assert.equal(cdn.calls.length, 0);
+    assert.ok(cos.objects.has('old.html'));
+  });
+});
+
+// ============================================================
+// D17: 发布记录与回滚测试
+// ============================================================
+
+describe('release & rollback', () => {
+  const upload = useUploadDir({ remove_remote_files: true, release: true });
+  const { makeConfig } = upload;
+
+  // 部署两个版本：v2 修改 index.html 并新增 new.html
+  const deployTwice = async (extra) => {
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    createFile(upload.dir, 'index.html', 'one');
+    createFile(upload.dir, 'css/style.css', 'css');
+    await _main(makeConfig(extra), clients);
+    createFile(upload.dir, 'index.html', 'two');
+    createFile(upload.dir, 'new.html', 'new');
+    await _main(makeConfig(extra), clients);
+    clients.cdn = createFakeApi();
+    cos.calls.length = 0;
+    return clients;
+  };
+
+  it('release 配置校验与默认值', () => {
+    assert.deepEqual(makeConfig().release, { source: 'versions', keep: 10 });
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, release: { source: 'snapshot' } })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, release: { keep: 0 } })), null);
+  });
+
+  it('每次部署记录发布，记录不会被 remove_remote_files 删除', async () => {
+    const { cos } = await deployTwice();
+    const ids = await _listReleases(cos, makeConfig());
+    assert.equal(ids.length, 2);
+    const release = JSON.parse(cos.objects.get(`.deploy_tencent/releases/${ids[1]}.json`).Body.toString());
+    assert.deepEqual(Object.keys(release.files), ['css/style.css', 'index.html', 'new.html']);
+    assert.equal(release.files['index.html'].md5, md5('two'));
+    assert.ok(release.files['css/style.css'].versionId);
+  });
+
+  it('release.keep 限制保留的发布记录数量', async () => {
+    const { cos } = await deployTwice({ release: { keep: 1 } });
+    assert.equal((await _listReleases(cos, makeConfig())).length, 1);
+  });
+
+  for (const source of ['versions', 'archive']) {
+    it(`默认回滚到上一个发布，并刷新受影响的 URL（${source}）`, async () => {
+      const clients = await deployTwice({ release: { source } });
+      const { cos, cdn } = clients;
+      const config = makeConfig({ release: { source } });
+      const [first] = await _listReleases(cos, config);
+
+      await _rollback(config, clients);
+      assert.equal(cos.objects.get('index.html').Body.toString(), 'one');
+      assert.ok(!cos.objects.has('new.html'));
+      assert.ok(cos.objects.has('css/style.css'));
+      assert.deepEqual(cdn.calls.find(([n]) => n === 'PurgeUrlsCache')[1].Urls.sort(), ['https://example.com/index.html', 'https://example.com/new.html']);
+
+      const ids = await _listReleases(cos, config);
+      assert.equal(ids.length, 3);
+      const latest = JSON.parse(cos.objects.get(`.deploy_tencent/releases/${ids[2]}.json`).Body.toString());
+      assert.equal(latest.rollbackOf, first);
+    });
+  }
+
+  it('回滚移除受影响文件的清单记录，重新部署时恢复新版本', async () => {
+    const clients = await deployTwice({ manifest: 'remote' });
+    const { cos } = clients;
+    const config = makeConfig({ manifest: 'remote' });
+
+    await _rollback(config, clients);
+    const manifest = JSON.parse(cos.objects.get('.deploy_tencent/manifest.json').Body.toString());
+    assert.deepEqual(Object.keys(manifest.files), ['css/style.css']);
+    assert.equal(cos.objects.get('index.html').Body.toString(), 'one');
+
+    await _main(config, clients);
+    assert.equal(cos.objects.get('index.html').Body.toString(), 'two');
+    assert.equal(cos.objects.get('new.html').Body.toString(), 'new');
+  });
+
+  it('dry-run 回滚只打印计划', async (t) => {
+    const clients = await deployTwice();
+    const info = t.mock.method(console, 'info', () => {});
+    await _rollback(makeConfig({ dry_run: true }), clients);
+    assert.ok(!clients.cos.calls.some(([n]) => n === 'putObjectCopy' || n === 'deleteMultipleObject'));
+    const output = info.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+    assert.match(output, /恢复（1）:\n  index\.html/);
+    assert.match(output, /删除（1）:\n  new\.html/);
+  });
+
+  it('发布 ID 不存在时抛出错误', async () => {
+    const clients = await deployTwice();
+    await assert.rejects(() => _rollback(makeConfig(), clients, 'missing'), /未找到发布记录/);
+  });
+
+  it('回滚时刷新失败则保留远程文件', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const clients = await deployTwice();
+    clients.cdn.request = async () => { throw new Error('quota exceeded'); };
+    const report = _createReport(makeConfig());
+
+    await skipRetryDelay(t, () => _rollback(makeConfig(), clients, undefined, report));
+    assert.equal(clients.cos.objects.get('index.html').Body.toString(), 'one');
+    assert.ok(clients.cos.objects.has('new.html'));
+    assert.deepEqual(report.errors.map(e => e.stage), ['purge']);
+  });
+
+  it('命令入口在配置无效或任一目标失败时抛出汇总错误', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(COS.prototype, 'getBucket', (params, callback) => callback(new Error('AccessDenied')));
+    const hexo = makeHexo({ ...VALID_CONFIG, targets: [{ bucket: 'a-123' }, { bucket: 'b-123' }] }, upload.dir);
+
+    await assert.rejects(() => deployer.rollback.call(makeHexo({ ...VALID_CONFIG, bucket: '' }), {}), /配置校验失败/);
+    await assert.rejects(() => deployer.releases.call(makeHexo({ ...VALID_CONFIG, bucket: '' }), {}), /配置校验失败/);
+    for (const command of ['rollback', 'releases']) {
+      await assert.rejects(() => deployer[command].call(hexo, {}), (error) => {
+        assert.ok(error instanceof AggregateError);
+        assert.deepEqual(error.errors.map(e => [e.target, e.error]), [['a-123', 'AccessDenied'], ['b-123', 'AccessDenied']]);
+        return true;
+      });
+    }
+  });
+
+  it('部署入口校验 Hexo 传入的部署项，deploy 中有多个 tencent-cos 项时各自部署', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const buckets = [];
+    t.mock.method(COS.prototype, 'getBucket', (params, callback) => {
+      buckets.push(params.Bucket);
+      callback(new Error('AccessDenied'));
+    });
+    createFile(upload.dir, 'public/index.html', 'index');
+    const deploy = [
+      { type: 'tencent-cos', ...VALID_CONFIG, compare_mode: 'list' },
+      { type: 'tencent-cos', ...VALID_CONFIG, compare_mode: 'list', bucket: 'second-123' }
+    ];
+    const hexo = { ...makeHexo(deploy, upload.dir), log: { error: () => {}, warn: () => {}, info: () => {} } };
+
+    // Hexo 以部署项与命令行参数的合并作为参数调用部署器
+    await assert.rejects(() => deployer.call(hexo, { ...deploy[1], _: [] }), /AccessDenied/);
+    assert.deepEqual([...new Set(buckets)], ['second-123']);
+    await assert.rejects(() => deployer.call(hexo, { ...deploy[1], bucket: '' }), /配置校验失败/);
+  });
+});
+
+// ============================================================
+// D18: 部署报告测试
+// ============================================================
+
+describe('deploy report', () => {
+  const upload = useUploadDir({ report_file: 'deploy-report.json' }, { hexoRoot: true });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'public/index.html', 'index');
+    createFile(upload.dir, 'public/css/style.css', 'css');
+  });
+
+
+  it('report_file 相对于 Hexo 根目录，report_summary 格式校验', () => {
+    const config = makeConfig({ report_summary: 'junit' });
+    assert.equal(config.reportFile, path.join(upload.dir, 'deploy-report.json'));
+    assert.deepEqual(config.reportSummary, ['junit']);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, report_summary: ['html'] })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, report_file: 42 })), null);
+  });
+
+  it('记录上传、跳过、删除、刷新与步骤耗时', async () => {
+    const config = makeConfig({ remove_remote_files: true });
+    const cos = createFakeCos({ 'css/style.css': 'css', 'old.html': 'old' });
+    const report = _createReport(config);
+    await _main(config, { cos, cdn: createFakeApi(), edgeone: createFakeApi() }, report);
+
+    assert.deepEqual(report.uploaded, [{ key: 'index.html', size: 5, md5: md5('index'), etag: md5('index'), action: 'upload' }]);
+    assert.deepEqual(report.skipped, ['css/style.css']);
+    assert.deepEqual(report.deleted, ['old.html']);
+    assert.deepEqual(report.purge.urls, ['https://example.com/index.html']);
+    assert.deepEqual(report.timings.map(t => t.stage), ['scan', 'compare', 'upload:1', 'manifest', 'purge', 'delete']);
+    assert.deepEqual(report.errors, []);
+  });
+
+  it('记录 EdgeOne 各 Zone 的刷新策略与配额', async () => {
+    const config = makeConfig({ cache_type: 'edgeone' });
+    const edgeone = createFakeApi([], {
+      DescribeZones: { Zones: [{ ZoneName: 'example.com', ZoneId: 'zone-1' }] },
+      DescribeAccelerationDomains: { AccelerationDomains: [{ ZoneId: 'zone-1', DomainName: 'example.com' }] },
+      DescribeContentQuota: { PurgeQuota: [{ Type: 'purge_url', Batch: 500, Daily: 1000, DailyAvailable: 1 }] }
+    });
+    const report = _createReport(config);
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone }, report);
+
+    assert.deepEqual(report.zones, [{
+      zoneId: 'zone-1',
+      domain: 'example.com',
+      strategy: 'purge_host',
+      urls: 2,
+      quota: { batchLimit: 500, dailyLimit: 1000, dailyAvailable: 1 }
+    }]);
+    assert.deepEqual(report.purge.hosts, ['example.com']);
+    assert.deepEqual(report.purge.urls, []);
+  });
+
+  it('上传失败时记录文件 Key 与错误信息', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const config = makeConfig();
+    const cos = createFakeCos();
+    cos.putObject = async (params) => {
+      params.Body.destroy?.();
+      throw new Error('upload failed');
+    };
+    const report = _createReport(config);
+
+    await assert.rejects(skipRetryDelay(t, () => _main({ ...config, concurrency: 1 }, { cos, cdn: createFakeApi(), edgeone: createFakeApi() }, report)));
+    assert.deepEqual(report.errors.map(e => [e.source, e.key, e.error]), [['上传', 'css/style.css', 'upload failed']]);
+    assert.deepEqual(report.timings.map(t => t.stage), ['scan', 'compare', 'upload:1']);
+  });
+
+  it('写入 JSON 报告及 JUnit / Markdown 摘要', async () => {
+    const config = makeConfig({ report_file: 'reports/deploy.json', report_summary: ['junit', 'markdown'] });
+    const report = _createReport(config);
+    report.uploaded.push({ key: 'index.html', size: 5, md5: md5('index'), etag: md5('index'), action: 'upload' });
+    report.timings.push({ stage: 'scan', durationMs: 12 });
+    report.errors.push({ source: 'EdgeOne', message: '未找到 <example.com> 对应的 ZoneId' });
+    await _writeReport(config, report);
+
+    const json = JSON.parse(fs.readFileSync(path.join(upload.dir, 'reports/deploy.json'), 'utf8'));
+    assert.equal(json.uploaded[0].key, 'index.html');
+    assert.ok(json.finishedAt);
+
+    const junit = fs.readFileSync(path.join(upload.dir, 'reports/deploy.xml'), 'utf8');
+    assert.match(junit, /<testsuite name="hexo-deployer-tencent" tests="2" failures="1"/);
+    assert.match(junit, /<testcase classname="deploy" name="scan" time="0.012"\/>/);
+    assert.match(junit, /&lt;example\.com&gt;/);
+
+    const markdown = fs.readFileSync(path.join(upload.dir, 'reports/deploy.md'), 'utf8');
+    assert.match(markdown, /\| 1 \| 0 \| 0 \| 0 \| 0 \| 0 \| 1 \|/);
+    assert.match(markdown, /- \[EdgeOne\] 未找到/);
+  });
+});
+
+// ============================================================
+// D19: 失败策略测试
+// ============================================================
+
+describe('fail_on policy', () => {
+  const upload = useUploadDir();
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'index');
+  });
+
+  it('fail_on 默认为 any，支持 none 与步骤组合', () => {
+    assert.deepEqual(makeConfig().failOn, ['upload', 'delete', 'purge']);
+    assert.deepEqual(makeConfig({ fail_on: 'none' }).failOn, []);
+    assert.deepEqual(makeConfig({ fail_on: ['upload', 'purge'] }).failOn, ['upload', 'purge']);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, fail_on: 'deploy' })), null);
+  });
+
+  it('配置校验失败时抛出错误', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    await assert.rejects(() => deployer.call(makeHexo(VALID_CONFIG), { ...VALID_CONFIG, bucket: '' }), /配置校验失败/);
+  });
+
+  it('CDN 刷新失败时记录错误并跳过删除', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const warn = t.mock.method(console, 'warn', () => {});
+    const config = makeConfig({ remove_remote_files: true });
+    const cos = createFakeCos({ 'old.html': 'old' });
+    const cdn = createFakeApi();
+    cdn.request = async () => { throw new Error('quota exceeded'); };
+    const report = _createReport(config);
+
+    await skipRetryDelay(t, () => _main(config, { cos, cdn, edgeone: createFakeApi() }, report));
+    assert.deepEqual(report.errors.map(e => [e.stage, e.error]), [['purge', 'quota exceeded']]);
+    assert.deepEqual(report.purge.urls, []);
+    assert.deepEqual(report.deleted, []);
+    assert.ok(cos.objects.has('old.html'));
+    assert.ok(warn.mock.calls.some(call => /跳过删除 1 个远程文件/.test(call.arguments[0])));
+  });
+
+  it('批量删除中单个文件失败时记录错误', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const config = makeConfig({ remove_remote_files: true, remote_dir: 'docs' });
+    const cos = createFakeCos({ 'docs/a.html': 'a', 'docs/b.html': 'b' });
+    cos.deleteMultipleObject = async () => ({ Error: [{ Key: 'docs/a.html', Code: 'AccessDenied', Message: 'denied' }] });
+    const report = _createReport(config);
+
+    await _main(config, { cos, cdn: createFakeApi(), edgeone: createFakeApi() }, report);
+    assert.deepEqual(report.deleted, ['b.html']);
+    assert.deepEqual(report.errors.map(e => [e.stage, e.key]), [['delete', 'a.html']]);
+  });
+
+  it('按 fail_on 汇总错误', () => {
+    const errors = [
+      { stage: 'upload', message: 'index.html 上传失败:', key: 'index.html', error: 'timeout' },
+      { stage: 'purge', message: '1 个 URL 刷新失败:', error: 'quota exceeded' }
+    ];
+    const failure = _collectFailures(makeConfig(), errors);
+    assert.ok(failure instanceof AggregateError);
+    assert.equal(failure.errors.length, 2);
+    assert.match(failure.message, /部署失败（上传 1 个，刷新 1 个错误）/);
+    assert.match(failure.message, /\[upload\] index\.html 上传失败: timeout/);
+
+    assert.equal(_collectFailures(makeConfig({ fail_on: 'upload' }), errors).errors.length, 1);
+    assert.equal(_collectFailures(makeConfig({ fail_on: 'delete' }), errors), null);
+    assert.equal(_collectFailures(makeConfig({ fail_on: 'none' }), [{ stage: 'deploy', message: '失败:' }]), null);
+    assert.ok(_collectFailures(makeConfig({ fail_on: 'delete' }), [{ stage: 'deploy', message: '失败:' }]));
+  });
+});
+
+// ============================================================
+// D20: 日志级别与语言测试
+// ============================================================
+
+describe('logging', () => {
+  const upload = useUploadDir();
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'index');
+    createFile(upload.dir, 'css/style.css', 'css');
+  });
+
+  // 模拟 hexo.log，按级别记录输出
+  const createFakeLog = () => {
+    const lines = [];
+    const record = level => message => lines.push([level, message]);
+    return { lines, error: record('error'), warn: record('warn'), info: record('info'), debug: record('debug') };
+  };
+
+  const makeHexoWithLog = (extra = {}, env = {}) => {
+    const { enable_log, ...config } = VALID_CONFIG;
+    return { ...makeHexo({ ...config, ...extra }), log: createFakeLog(), env };
+  };
+
+  const deploy = async (hexo) => {
+    const config = { ..._validateConfig(hexo), uploadDir: upload.dir };
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone: createFakeApi() });
+    return hexo.log.lines;
+  };
+
+  it('log_level 默认值：兼容 enable_log，--debug 时输出全部日志', () => {
+    assert.equal(_validateConfig(makeHexoWithLog()).logLevel, 'info');
+    assert.equal(_validateConfig(makeHexoWithLog({ enable_log: true })).logLevel, 'debug');
+    assert.equal(_validateConfig(makeHexoWithLog({ enable_log: false })).logLevel, 'warn');
+    assert.equal(_validateConfig(makeHexoWithLog({ log_level: 'error' })).logLevel, 'error');
+    assert.equal(_validateConfig(makeHexoWithLog({ log_level: 'error' }, { debug: true })).logLevel, 'debug');
+    assert.equal(_validateConfig(makeHexoWithLog({ log_level: 'verbose' })), null);
+  });
+
+  it('info 级别只输出摘要，逐文件日志需要 debug 级别', async () => {
+    const info = await deploy(makeHexoWithLog());
+    assert.ok(info.some(([, message]) => message === '[部署] 上传: 2 个文件 | 删除: 0 个文件 | 刷新: 2 个 URL'));
+    assert.ok(!info.some(([, message]) => message.includes('成功: index.html')));
+
+    const debug = await deploy(makeHexoWithLog({ log_level: 'debug' }));
+    assert.ok(debug.some(([, message]) => message === '[上传] 成功: index.html'));
+  });
+
+  it('warn 级别不输出进度信息', async () => {
+    assert.deepEqual(await deploy(makeHexoWithLog({ log_level: 'warn' })), []);
+  });
+
+  it('language: en 输出英文日志与校验错误', async () => {
+    const lines = await deploy(makeHexoWithLog({ language: 'en' }));
+    assert.ok(lines.some(([, message]) => message === '[Deploy] Uploaded: 2 files | Deleted: 0 files | Purged: 2 URLs'));
+
+    const hexo = makeHexoWithLog({ language: 'en', cache_type: 'akamai' });
+    assert.equal(_validateConfig(hexo), null);
+    assert.deepEqual(hexo.log.lines, [
+      ['error', '[Config] Validation failed:'],
+      ['error', '  - Unsupported cache_type value "akamai", use "edgeone" / "cdn"']
+    ]);
+  });
+
+  it('dry-run 计划不受 log_level 限制', async () => {
+    const hexo = makeHexoWithLog({ log_level: 'error', dry_run: true, language: 'en' });
+    const lines = (await deploy(hexo)).map(([, message]) => message).join('\n');
+    assert.match(lines, /Upload \(2\):\n  css\/style\.css\n  index\.html/);
+  });
+
+  it('hexo tencent 用法按 language 输出到 hexo.log', async () => {
+    const command = require('../lib/console');
+    for (const [language, pattern] of [['en', /^Usage:\n  hexo tencent releases/], ['zh', /^用法:\n  hexo tencent releases/]]) {
+      const hexo = makeHexoWithLog({ language });
+      await command.call(hexo, { _: [] });
+      assert.equal(hexo.log.lines.length, 1);
+      assert.equal(hexo.log.lines[0][0], 'info');
+      assert.match(hexo.log.lines[0][1], pattern);
+    }
+  });
+});
+
+// ============================================================
+// D21: 进度显示测试
+// ============================================================
+
+describe('progress', () => {
+  let isTTY;
+
+  const upload = useUploadDir({ log_level: 'info' });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'index');
+    createFile(upload.dir, 'css/style.css', 'css');
+    createFile(upload.dir, 'js/app.js', 'app');
+    isTTY = process.stderr.isTTY;
+  });
+
+  afterEach(() => {
+    process.stderr.isTTY = isTTY;
+  });
+
+  it('终端中绘制进度条，结束时换行', async (t) => {
+    process.stderr.isTTY = true;
+    const write = t.mock.method(process.stderr, 'write', () => true);
+    t.mock.method(console, 'info', () => {});
+    await _main(makeConfig(), { cos: createFakeCos(), cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    const output = write.mock.calls.map(c => c.arguments[0]).join('');
+    assert.match(output, /\r\[上传\] █{20} 100% 3\/3 · 11 B\/11 B · [\d.]+ [KMG]?B\/s\x1b\[K\n/);
+    assert.match(output, /\r\[扫描\] █{20} 100% 3\/3\x1b\[K\n/);
+    assert.match(output, /\r\[刷新\] █{20} 100% 3\/3\x1b\[K\n/);
+  });
+
+  it('非终端中定期输出进度摘要', async (t) => {
+    process.stderr.isTTY = false;
+    const write = t.mock.method(process.stderr, 'write', () => true);
+    const info = t.mock.method(console, 'info', () => {});
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cos = createFakeCos();
+    const putObject = cos.putObject;
+    cos.putObject = async (params) => {
+      t.mock.timers.tick(10000);
+      return putObject(params);
+    };
+    await _main({ ...makeConfig(), concurrency: 1 }, { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.equal(write.mock.calls.length, 0);
+    const lines = info.mock.calls.map(c => c.arguments[0]).filter(line => line.includes('进度'));
+    assert.deepEqual(lines.map(line => line.split(' · ')[0]), ['[上传] 进度 1/3', '[上传] 进度 2/3']);
+    assert.match(lines[0], /剩余 \d+s$/);
+  });
+
+  it('progress: false 或日志级别低于 info 时不显示', async (t) => {
+    process.stderr.isTTY = true;
+    const write = t.mock.method(process.stderr, 'write', () => true);
+    t.mock.method(console, 'info', () => {});
+    await _main(makeConfig({ progress: false }), { cos: createFakeCos(), cdn: createFakeApi(), edgeone: createFakeApi() });
+    await _main(makeConfig({ log_level: 'warn' }), { cos: createFakeCos(), cdn: createFakeApi(), edgeone: createFakeApi() });
+    assert.equal(write.mock.calls.length, 0);
+  });
+
+  it('hexo --silent 时不显示', async (t) => {
+    process.stderr.isTTY = true;
+    const write = t.mock.method(process.stderr, 'write', () => true);
+    const config = { ..._validateConfig({ ...makeHexo({ ...VALID_CONFIG, log_level: 'info' }), env: { silent: true } }), uploadDir: upload.dir };
+    assert.equal(config.logLevel, 'error');
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone: createFakeApi() });
+    assert.equal(write.mock.calls.length, 0);
+  });
+
+  it('比对失败时同样结束进度行', async (t) => {
+    process.stderr.isTTY = true;
+    const write = t.mock.method(process.stderr, 'write', () => true);
+    t.mock.method(console, 'info', () => {});
+    const cos = createFakeCos();
+    const headObject = cos.headObject;
+    cos.headObject = async (params) => {
+      if (cos.calls.length) throw Object.assign(new Error('AccessDenied'), { statusCode: 403 });
+      return headObject(params).catch(() => { throw Object.assign(new Error('NotFound'), { statusCode: 404 }); });
+    };
+
+    await assert.rejects(() => _main({ ...makeConfig({ compare_mode: 'head' }), concurrency: 1 }, { cos, cdn: createFakeApi(), edgeone: createFakeApi() }), /AccessDenied/);
+    const output = write.mock.calls.map(c => c.arguments[0]).join('');
+    assert.match(output, /\r\[比对\] [█░]{20} 33% 1\/3[^\n]*\n$/);
+  });
+});
+
+// ============================================================
+// D22: CDN 刷新策略测试
+// ============================================================
+
+describe('cdn purge strategy', () => {
+  const urls = [
+    'https://example.com/posts/a.html',
+    'https://example.com/posts/b.html',
+    'https://example.com/posts/c.html',
+    'https://example.com/tags/a.html',
+    'https://example.com/tags/b.html',
+    'https://example.com/index.html'
+  ];
+  const plan = (strategy, threshold = 3, quota = null) =>
+    _planCdnPurge(urls, { purgeStrategy: strategy, purgePathThreshold: threshold }, quota);
+
+  it('校验 purge_strategy 与 purge_path_threshold', () => {
+    const config = _validateConfig(makeHexo(VALID_CONFIG));
+    assert.equal(config.purgeStrategy, 'url');
+    assert.equal(config.purgePathThreshold, 50);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, purge_strategy: 'host' })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, purge_path_threshold: 0 })), null);
+  });
+
+  it('url 策略全部按 URL 刷新', () => {
+    assert.deepEqual(plan('url'), { urls, paths: [], skipped: [] });
+  });
+
+  it('path 策略按所在目录刷新', () => {
+    assert.deepEqual(plan('path'), {
+      urls: [],
+      paths: [
+        { path: 'https://example.com/posts/', count: 3 },
+        { path: 'https://example.com/tags/', count: 2 },
+        { path: 'https://example.com/', count: 1 }
+      ],
+      skipped: []
+    });
+  });
+
+  it('auto 策略中达到阈值的目录按目录刷新', () => {
+    assert.deepEqual(plan('auto'), {
+      urls: urls.slice(3),
+      paths: [{ path: 'https://example.com/posts/', count: 3 }],
+      skipped: []
+    });
+  });
+
+  it('auto 策略在剩余 URL 超出配额时从最大的目录开始改为目录刷新', () => {
+    assert.deepEqual(plan('auto', 3, { urlAvailable: 1 }), {
+      urls: ['https://example.com/index.html'],
+      paths: [
+        { path: 'https://example.com/posts/', count: 3 },
+        { path: 'https://example.com/tags/', count: 2 }
+      ],
+      skipped: []
+    });
+  });
+
+  it('url 策略超出 URL 配额时同样改为目录刷新', () => {
+    assert.deepEqual(plan('url', 3, { urlAvailable: 3 }), {
+      urls: urls.slice(3),
+      paths: [{ path: 'https://example.com/posts/', count: 3 }],
+      skipped: []
+    });
+  });
+
+  it('目录超出配额时保留覆盖最多的目录，其余 URL 在配额内按 URL 刷新或记为未刷新', () => {
+    assert.deepEqual(plan('path', 3, { urlAvailable: 2, pathAvailable: 1 }), {
+      urls: ['https://example.com/tags/a.html', 'https://example.com/tags/b.html'],
+      paths: [{ path: 'https://example.com/posts/', count: 3 }],
+      skipped: ['https://example.com/index.html']
+    });
+  });
+
+  it('按顶级目录汇总各级子目录中的 URL，文章各自所在的目录不会逐个占用目录配额', () => {
+    const postUrls = Array.from({ length: 2000 }, (_, i) => `https://example.com/posts/post-${i}/index.html`);
+    const quota = { urlAvailable: 1000, pathAvailable: 100 };
+    const expected = { urls: [], paths: [{ path: 'https://example.com/posts/', count: 2000 }], skipped: [] };
+    for (const strategy of ['url', 'path', 'auto']) {
+      assert.deepEqual(_planCdnPurge(postUrls, { purgeStrategy: strategy, purgePathThreshold: 50 }, quota), expected);
+    }
+    assert.deepEqual(_planCdnPurge(postUrls.slice(0, 60), { purgeStrategy: 'auto', purgePathThreshold: 50 }), {
+      urls: [], paths: [{ path: 'https://example.com/posts/', count: 60 }], skipped: []
+    });
+  });
+
+  describe('purge', () => {
+    const upload = useUploadDir({ purge_strategy: 'auto', purge_path_threshold: 3 });
+    const { makeConfig } = upload;
+
+    beforeEach(() => {
+      ['a', 'b', 'c'].forEach(name => createFile(upload.dir, `posts/${name}.html`, name));
+      createFile(upload.dir, 'index.html', 'index');
+    });
+
+    it('按配额的批量大小提交 URL 与目录刷新', async () => {
+      const config = makeConfig();
+      const calls = [];
+      const cdn = createFakeApi(calls, {
+        DescribePurgeQuota: {
+          UrlPurge: [{ Area: 'mainland', Batch: 1000, Available: 100 }, { Area: 'overseas', Batch: 1000, Available: 50 }],
+          PathPurge: [{ Area: 'mainland', Batch: 20, Available: 10 }]
+        }
+      });
+      const report = _createReport(config);
+      await _main(config, { cos: createFakeCos(), cdn, edgeone: createFakeApi() }, report);
+
+      assert.deepEqual(calls, [
+        ['DescribePurgeQuota', {}],
+        ['PurgeUrlsCache', { Urls: ['https://example.com/index.html'] }],
+        ['PurgePathCache', { Paths: ['https://example.com/posts/'], FlushType: 'flush' }]
+      ]);
+      assert.deepEqual(report.purge.urls, ['https://example.com/index.html']);
+      assert.deepEqual(report.purge.paths, ['https://example.com/posts/']);
+    });
+
+    it('配额耗尽时记录未刷新的 URL，不计入刷新数量', async (t) => {
+      const error = t.mock.method(console, 'error', () => {});
+      const info = t.mock.method(console, 'info', () => {});
+      const config = makeConfig({ log_level: 'info' });
+      const calls = [];
+      const cdn = createFakeApi(calls, {
+        DescribePurgeQuota: {
+          UrlPurge: [{ Area: 'mainland', Batch: 1000, Available: 0 }],
+          PathPurge: [{ Area: 'mainland', Batch: 20, Available: 1 }]
+        }
+      });
+      const report = _createReport(config);
+      await _main(config, { cos: createFakeCos(), cdn, edgeone: createFakeApi() }, report);
+
+      assert.deepEqual(calls.map(([action]) => action), ['DescribePurgeQuota', 'PurgePathCache']);
+      assert.deepEqual(report.purge.unpurged, ['https://example.com/index.html']);
+      assert.equal(report.errors.length, 1);
+      assert.equal(report.errors[0].stage, 'purge');
+      assert.match(error.mock.calls[0].arguments[0], /刷新配额不足，1 个 URL 未刷新:\n  https:\/\/example\.com\/index\.html/);
+      const output = info.mock.calls.map(c => c.arguments[0]).join('\n');
+      assert.match(output, /刷新: 3 个 URL/);
+    });
+
+    it('配额查询失败时仍按阈值刷新', async (t) => {
+      const config = makeConfig();
+      const calls = [];
+      const cdn = {
+        request: async (action, params) => {
+          if (action === 'DescribePurgeQuota') throw new Error('denied');
+          calls.push([action, params]);
+          return {};
+        }
+      };
+      const report = _createReport(config);
+      await skipRetryDelay(t, () => _main(config, { cos: createFakeCos(), cdn, edgeone: createFakeApi() }, report));
+
+      assert.deepEqual(calls.map(([action]) => action), ['PurgeUrlsCache', 'PurgePathCache']);
+      assert.deepEqual(report.errors, []);
+    });
+  });
+});
+
+// ============================================================
+// D23: 缓存预热测试
+// ============================================================
+
+describe('prefetch', () => {
+  const prefetch = { paths: ['/posts/'], extensions: ['.html'] };
+  const postUrls = ['https://example.com/posts/a/index.html', 'https://example.com/posts/b.html'];
+  const upload = useUploadDir({ log_level: 'info', prefetch });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'index');
+    createFile(upload.dir, 'posts/a/index.html', 'a');
+    createFile(upload.dir, 'posts/b.html', 'b');
+    createFile(upload.dir, 'posts/cover.png', 'png');
+  });
+
+  it('prefetch 支持 true 与过滤规则，并校验格式', () => {
+    assert.deepEqual(_validateConfig(makeHexo({ ...VALID_CONFIG, prefetch: true })).prefetch, {
+      paths: [], extensions: [], ignorePaths: [], ignoreExtensions: []
+    });
+    assert.deepEqual(makeConfig({ prefetch: { ...prefetch, ignore_paths: ['posts/a'], ignore_extensions: ['.PNG'] } }).prefetch, {
+      paths: ['posts'], extensions: ['.html'], ignorePaths: ['posts/a'], ignoreExtensions: ['.png']
+    });
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, prefetch: { extensions: ['html'] } })), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, prefetch: { paths: '/posts' } })), null);
+  });
+
+  it('CDN 刷新后按配额批量大小预热匹配的 URL，并计入部署摘要', async (t) => {
+    const info = t.mock.method(console, 'info', () => {});
+    const config = makeConfig();
+    const cdn = createFakeApi([], { DescribePushQuota: { UrlPush: [{ Area: 'mainland', Batch: 1, Available: 100 }] } });
+    const report = _createReport(config);
+    await _main(config, { cos: createFakeCos(), cdn, edgeone: createFakeApi() }, report);
+
+    const pushed = cdn.calls.filter(([action]) => action === 'PushUrlsCache').map(([, params]) => params.Urls);
+    assert.deepEqual(pushed.flat().sort(), postUrls);
+    assert.equal(pushed.length, 2);
+    assert.deepEqual(report.prefetch.urls.sort(), postUrls);
+    assert.ok(report.timings.some(({ stage }) => stage === 'prefetch'));
+    const output = info.mock.calls.map(c => c.arguments[0]).join('\n');
+    assert.match(output, /刷新: 4 个 URL \| 预热: 2 个 URL/);
+  });
+
+  it('超出预热配额的 URL 跳过并警告，不影响部署结果', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const warn = t.mock.method(console, 'warn', () => {});
+    const config = makeConfig();
+    const cdn = createFakeApi([], { DescribePushQuota: { UrlPush: [{ Area: 'mainland', Batch: 20, Available: 1 }] } });
+    const report = _createReport(config);
+    await _main(config, { cos: createFakeCos(), cdn, edgeone: createFakeApi() }, report);
+
+    assert.equal(report.prefetch.urls.length, 1);
+    assert.equal(report.prefetch.skipped.length, 1);
+    assert.deepEqual(report.errors, []);
+    assert.match(warn.mock.calls[0].arguments[0], /\[预热\] 预热配额不足，1 个 URL 未预热（剩余 1）/);
+  });
+
+  it('刷新失败的 URL 不预热', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'error', () => {});
+    const config = makeConfig({ fail_on: 'none' });
+    const calls = [];
+    const cdn = {
+      request: async (action, params) => {
+        calls.push(action);
+        if (action === 'PurgeUrlsCache') throw new Error('purge failed');
+        return {};
+      }
+    };
+    const report = _createReport(config);
+    await skipRetryDelay(t, () => _main(config, { cos: createFakeCos(), cdn, edgeone: createFakeApi() }, report));
+
+    assert.ok(!calls.includes('PushUrlsCache'));
+    assert.deepEqual(report.prefetch.urls, []);
+  });
+
+  it('EdgeOne 按站点查询预热配额并创建预热任务', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const config = makeConfig({ cache_type: 'edgeone' });
+    const edgeone = createFakeApi([], {
+      DescribeZones: { Zones: [{ ZoneName: 'example.com', ZoneId: 'zone-1' }] },
+      DescribeAccelerationDomains: { AccelerationDomains: [{ ZoneId: 'zone-1', DomainName: 'example.com' }] },
+      DescribeContentQuota: {
+        PurgeQuota: [{ Type: 'purge_url', Batch: 1000, Daily: 10000, DailyAvailable: 10000 }],
+        PrefetchQuota: [{ Type: 'prefetch_url', Batch: 100, Daily: 1000, DailyAvailable: 1000 }]
+      }
+    });
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone });
+
+    const [[, params]] = edgeone.calls.filter(([action]) => action === 'CreatePrefetchTask');
+    assert.equal(params.ZoneId, 'zone-1');
+    assert.deepEqual(params.Targets.sort(), postUrls);
+  });
+
+  it('dry-run 打印预热计划', async (t) => {
+    const info = t.mock.method(console, 'info', () => {});
+    const cdn = createFakeApi();
+    await _main(makeConfig({ dry_run: true }), { cos: createFakeCos(), cdn, edgeone: createFakeApi() });
+
+    assert.equal(cdn.calls.length, 0);
+    const output = info.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+    assert.match(output, /预热（2）:\n  https:\/\/example\.com\/posts\/a\/index\.html\n  https:\/\/example\.com\/posts\/b\.html/);
+  });
+});
+
+// ============================================================
+// D24: 等待刷新任务测试
+// ============================================================
+
+describe('wait_for_purge', () => {
+  const upload = useUploadDir({ log_level: 'info', wait_for_purge: { timeout: 60, interval: 5 } });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'index');
+    createFile(upload.dir, 'post.html', 'post');
+  });
+
+  const urls = ['https://example.com/index.html', 'https://example.com/post.html'];
+  // 模拟 CDN：第 n 次查询返回 rounds[n] 中各 URL 的状态，超出后沿用最后一次
+  const createCdn = (rounds, calls = []) => {
+    let round = 0;
+    return {
+      calls,
+      request: async (action, params) => {
+        calls.push([action, params]);
+        if (action === 'PurgeUrlsCache') return { TaskId: 'task-1' };
+        if (action !== 'DescribePurgeTasks') return {};
+        const statuses = rounds[Math.min(round++, rounds.length - 1)];
+        return { TotalCount: urls.length, PurgeLogs: urls.map((Url, i) => ({ TaskId: params.TaskId, Url, Status: statuses[i] })) };
+      }
+    };
+  };
+  const run = (t, config, clients, report) =>
+    skipRetryDelay(t, () => _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone: createFakeApi(), ...clients }, report), ['setTimeout', 'Date']);
+
+  it('wait_for_purge 支持 true 与超时、间隔（秒）', () => {
+    assert.deepEqual(_validateConfig(makeHexo({ ...VALID_CONFIG, wait_for_purge: true })).waitForPurge, { timeout: 300000, interval: 5000 });
+    assert.equal(_validateConfig(makeHexo(VALID_CONFIG)).waitForPurge, null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, wait_for_purge: { timeout: 0 } })), null);
+  });
+
+  it('轮询 CDN 刷新任务直到完成', async (t) => {
+    const info = t.mock.method(console, 'info', () => {});
+    const config = makeConfig();
+    const cdn = createCdn([['process', 'process'], ['done', 'process'], ['done', 'done']]);
+    const report = _createReport(config);
+    await run(t, config, { cdn }, report);
+
+    assert.equal(cdn.calls.filter(([action]) => action === 'DescribePurgeTasks').length, 3);
+    assert.deepEqual(cdn.calls.find(([action]) => action === 'DescribePurgeTasks')[1], { TaskId: 'task-1', Offset: 0, Limit: 1000 });
+    assert.deepEqual(report.purge.tasks, [{ id: 'task-1', type: 'url', targets: urls, status: 'done', failed: [] }]);
+    assert.deepEqual(report.errors, []);
+    const output = info.mock.calls.map(c => c.arguments[0]).join('\n');
+    assert.match(output, /刷新任务: 1 个完成，0 个失败，0 个超时/);
+    assert.match(output, /刷新: 2 个 URL/);
+  });
+
+  it('失败的目标计入 purge 错误，不计入刷新数量', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const info = t.mock.method(console, 'info', () => {});
+    const config = makeConfig({ fail_on: 'none' });
+    const report = _createReport(config);
+    await run(t, config, { cdn: createCdn([['done', 'fail']]) }, report);
+
+    assert.equal(report.purge.tasks[0].status, 'failed');
+    assert.deepEqual(report.purge.tasks[0].failed, [urls[1]]);
+    assert.deepEqual(report.purge.urls, [urls[0]]);
+    assert.equal(report.errors.length, 1);
+    assert.equal(report.errors[0].stage, 'purge');
+    assert.match(report.errors[0].message, /刷新任务 task-1 中 1 个目标失败:\n  https:\/\/example\.com\/post\.html/);
+    const output = info.mock.calls.map(c => c.arguments[0]).join('\n');
+    assert.match(output, /刷新: 1 个 URL/);
+  });
+
+  it('超时未完成的任务按 fail_on 导致部署失败', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'info', () => {});
+    const config = makeConfig({ wait_for_purge: { timeout: 12, interval: 5 } });
+    const calls = [];
+    const cdn = createCdn([['process', 'process']], calls);
+    const report = _createReport(config);
+    await run(t, config, { cdn }, report);
+
+    assert.equal(report.purge.tasks[0].status, 'timeout');
+    assert.ok(calls.filter(([action]) => action === 'DescribePurgeTasks').length > 1);
+    assert.match(report.errors[0].message, /超时未完成/);
+    assert.ok(_collectFailures(config, report.errors));
+  });
+
+  it('按 JobId 查询 EdgeOne 刷新任务', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const config = makeConfig({ cache_type: 'edgeone' });
+    const calls = [];
+    const edgeone = {
+      request: async (action, params) => {
+        calls.push([action, params]);
+        if (action === 'DescribeZones') return { Zones: [{ ZoneName: 'example.com', ZoneId: 'zone-1' }] };
+        if (action === 'DescribeAccelerationDomains') return { AccelerationDomains: [{ ZoneId: 'zone-1', DomainName: 'example.com' }] };
+        if (action === 'DescribeContentQuota') return { PurgeQuota: [{ Type: 'purge_url', Batch: 1000, Daily: 10000, DailyAvailable: 10000 }] };
+        if (action === 'CreatePurgeTask') return { JobId: 'job-1' };
+        if (action === 'DescribePurgeTasks') return { TotalCount: 2, Tasks: urls.map(Target => ({ JobId: 'job-1', Target, Status: 'success' })) };
+        return {};
+      }
+    };
+    const report = _createReport(config);
+    await run(t, config, { edgeone }, report);
+
+    assert.deepEqual(calls.find(([action]) => action === 'DescribePurgeTasks')[1], {
+      ZoneId: 'zone-1', Filters: [{ Name: 'job-id', Values: ['job-1'] }], Offset: 0, Limit: 1000
+    });
+    assert.deepEqual(report.purge.tasks, [{ id: 'job-1', zoneId: 'zone-1', type: 'url', targets: urls, status: 'done', failed: [] }]);
+  });
+});
+
+// ============================================================
+// D25: EdgeOne 站点匹配测试
+// ============================================================
+
+describe('edgeone zone matching', () => {
+  const upload = useUploadDir({ cache_type: 'edgeone' });
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'index');
+  });
+
+  const makeConfig = (cdnDomains) => upload.makeConfig({ cdn_domains: cdnDomains });
+  // 模拟 EdgeOne：zones 按 Offset / Limit 分页返回，domains 为 ZoneId → 加速域名列表
+  const createEdgeOne = (zones, domains = {}, calls = []) => ({
+    calls,
+    request: async (action, params) => {
+      calls.push([action, params]);
+      if (action === 'DescribeZones') {
+        return { TotalCount: zones.length, Zones: zones.slice(params.Offset, params.Offset + params.Limit) };
+      }
+      if (action === 'DescribeAccelerationDomains') {
+        const list = (domains[params.ZoneId] || []).map(DomainName => ({ ZoneId: params.ZoneId, DomainName }));
+        return { TotalCount: list.length, AccelerationDomains: list };
+      }
+      return {};
+    }
+  });
+  const purgedZones = (edgeone) => edgeone.calls.filter(([action]) => action === 'CreatePurgeTask').map(([, params]) => params.ZoneId);
+
+  it('cdn_domains 中的 zone_id 直接使用，不列举站点', async () => {
+    const config = makeConfig([{ domain: 'https://blog.example.com', zone_id: 'zone-blog' }]);
+    assert.equal(config.cdnDomains[0].zoneId, 'zone-blog');
+    const edgeone = createEdgeOne([]);
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone });
+
+    assert.ok(!edgeone.calls.some(([action]) => action === 'DescribeZones'));
+    assert.deepEqual(purgedZones(edgeone), ['zone-blog']);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, cdn_domains: [{ domain: 'https://example.com', zone_id: 1 }] })), null);
+  });
+
+  it('按公共后缀规则匹配站点，不会因字符串后缀误匹配', async () => {
+    const config = makeConfig([{ domain: 'https://blog.example.com.cn' }]);
+    const edgeone = createEdgeOne(
+      [{ ZoneName: 'other-example.com.cn', ZoneId: 'zone-other' }, { ZoneName: 'example.com.cn', ZoneId: 'zone-1' }],
+      { 'zone-other': ['other-example.com.cn'], 'zone-1': ['example.com.cn', 'blog.example.com.cn'] }
+    );
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone });
+
+    assert.deepEqual(purgedZones(edgeone), ['zone-1']);
+    assert.deepEqual(edgeone.calls.filter(([action]) => action === 'DescribeAccelerationDomains').map(([, p]) => p.ZoneId), ['zone-1']);
+  });
+
+  it('分页列举站点，并支持泛域名加速', async () => {
+    const config = makeConfig([{ domain: 'https://cdn.example.org' }]);
+    const zones = Array.from({ length: 120 }, (_, i) => ({ ZoneName: `site${i}.com`, ZoneId: `zone-${i}` }));
+    zones.push({ ZoneName: 'example.org', ZoneId: 'zone-org' });
+    const edgeone = createEdgeOne(zones, { 'zone-org': ['*.example.org'] });
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone });
+
+    assert.deepEqual(edgeone.calls.filter(([action]) => action === 'DescribeZones').map(([, p]) => p.Offset), [0, 100]);
+    assert.deepEqual(purgedZones(edgeone), ['zone-org']);
+  });
+
+  it('主机名不在站点的加速域名列表中时报告未找到站点', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const config = makeConfig([{ domain: 'https://cdn.example.com' }]);
+    const edgeone = createEdgeOne([{ ZoneName: 'example.com', ZoneId: 'zone-1' }], { 'zone-1': ['www.example.com'] });
+    const report = _createReport(config);
+    await _main(config, { cos: createFakeCos(), cdn: createFakeApi(), edgeone }, report);
+
+    assert.deepEqual(purgedZones(edgeone), []);
+    assert.match(report.errors[0].message, /未找到 cdn\.example\.com 对应的 ZoneId/);
+  });
+});
+
+// ============================================================
+// D26: 访问凭证测试
+// ============================================================
+
+describe('credentials', () => {
+  const upload = useUploadDir();
+
+  const ENV_KEYS = ['HOME', 'TENCENTCLOUD_SECRET_ID', 'TENCENTCLOUD_SECRET_KEY', 'TENCENTCLOUD_SESSION_TOKEN', 'TENCENTCLOUD_PROFILE', 'HEXO_TEST_SECRET_KEY'];
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    // 默认凭证文件位于 HOME 下，指向临时目录避免读取本机配置
+    process.env.HOME = upload.dir;
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+  });
+
+  const withoutKeys = (extra = {}) => {
+    const cfg = { ...VALID_CONFIG, ...extra };
+    delete cfg.secret_id;
+    delete cfg.secret_key;
+    return _validateConfig(makeHexo(cfg));
+  };
+
+  it('配置中的 ${ENV_VAR} 替换为环境变量，未设置时校验失败', () => {
+    process.env.HEXO_TEST_SECRET_KEY = 'from-env';
+    const config = _validateConfig(makeHexo({ ...VALID_CONFIG, secret_key: '${HEXO_TEST_SECRET_KEY}', bucket: 'blog-${HEXO_TEST_SECRET_KEY}' }));
+    assert.equal(config.secretKey, 'from-env');
+    assert.equal(config.bucket, 'blog-from-env');
+    assert.equal(config.credentialSource, 'config');
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, secret_key: '${HEXO_TEST_UNDEFINED}' })), null);
+  });
+
+  it('未配置密钥时读取 TENCENTCLOUD_* 环境变量', () => {
+    process.env.TENCENTCLOUD_SECRET_ID = 'env-id';
+    process.env.TENCENTCLOUD_SECRET_KEY = 'env-key';
+    process.env.TENCENTCLOUD_SESSION_TOKEN = 'env-token';
+    const config = withoutKeys();
+    assert.equal(config.credentialSource, 'env');
+    assert.deepEqual([config.secretId, config.secretKey, config.sessionToken], ['env-id', 'env-key', 'env-token']);
+  });
+
+  it('从凭证文件读取配置档，默认为 default', () => {
+    createFile(upload.dir, '.tencentcloud/credentials', '[default]\nsecret_id = default-id\nsecret_key = default-key\n');
+    createFile(upload.dir, 'deploy.ini', '# 部署专用\n[deploy]\nsecret_id=deploy-id\nsecret_key=deploy-key\n');
+    assert.equal(withoutKeys().credentialSource, 'profile:default');
+    assert.equal(withoutKeys().secretId, 'default-id');
+
+    const config = withoutKeys({ credentials: { file: path.join(upload.dir, 'deploy.ini'), profile: 'deploy' } });
+    assert.equal(config.credentialSource, 'profile:deploy');
+    assert.equal(config.secretKey, 'deploy-key');
+    assert.equal(withoutKeys({ credentials: { profile: 'missing' } }), null);
+  });
+
+  it('没有任何凭证时校验失败', () => {
+    assert.equal(withoutKeys(), null);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, secret_key: undefined })), null);
+  });
+
+  it('AssumeRole 获取临时凭证，过期前自动刷新', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+    const config = _validateConfig(makeHexo({
+      ...VALID_CONFIG,
+      credentials: { role_arn: 'qcs::cam::uin/100000000001:roleName/deployer', duration: 1800 }
+    }));
+    const calls = [];
+    let issued = 0;
+    const provider = _createCredentialProvider(config, (credential) => ({
+      request: async (action, params) => {
+        calls.push([action, params, credential]);
+        issued++;
+        return {
+          Credentials: { TmpSecretId: `tmp-id-${issued}`, TmpSecretKey: 'tmp-key', Token: `token-${issued}` },
+          ExpiredTime: Math.floor(Date.now() / 1000) + 1800
+        };
+      }
+    }));
+
+    const [first, concurrent] = await Promise.all([provider.getCredential(), provider.getCredential()]);
+    assert.equal(first.token, 'token-1');
+    assert.equal(concurrent.token, 'token-1');
+    assert.deepEqual(calls[0].slice(0, 2), ['AssumeRole', {
+      RoleArn: 'qcs::cam::uin/100000000001:roleName/deployer', RoleSessionName: 'hexo-deployer-tencent', DurationSeconds: 1800
+    }]);
+    assert.equal(calls[0][2].secretId, 'AKIDxxxxxx');
+
+    t.mock.timers.tick(20 * 60 * 1000);
+    assert.equal((await provider.getCredential()).token, 'token-1');
+    t.mock.timers.tick(6 * 60 * 1000);
+    assert.equal((await provider.getCredential()).token, 'token-2');
+    assert.equal(calls.length, 2);
+  });
+
+  it('客户端使用凭证提供者签名', async () => {
+    const config = _validateConfig(makeHexo({ ...VALID_CONFIG, credentials: { role_arn: 'qcs::cam::uin/1:roleName/r' } }));
+    const credential = { secretId: 'tmp-id', secretKey: 'tmp-key', token: 'tmp-token', expiredTime: Date.now() + 3600 * 1000 };
+    const clients = _initClients(config, { getCredential: async () => credential });
+
+    assert.deepEqual(await clients.cdn.getCredential(), credential);
+    const url = await new Promise((resolve, reject) => clients.cos.getObjectUrl(
+      { Bucket: 'test-123', Region: 'ap-guangzhou', Key: 'index.html', Sign: true },
+      (error, data) => (error ? reject(error) : resolve(data.Url))
+    ));
+    assert.match(url, /q-ak=tmp-id/);
+    assert.match(url, /x-cos-security-token=tmp-token/);
+  });
+});
+
+// ============================================================
+// D27: 多目标部署测试
+// ============================================================
+
+describe('targets', () => {
+  const TARGETS = [
+    { name: 'mainland', bucket: 'cn-123', cdn_domains: [{ domain: 'https://example.cn' }] },
+    { name: 'overseas', bucket: 'intl-123', region: 'ap-singapore', prefix: 'blog', cdn_domains: [{ domain: 'https://example.com' }] }
+  ];
+  const upload = useUploadDir({ bucket: undefined, targets: TARGETS }, { hexoRoot: true });
+  const { makeConfig } = upload;
+  let uploadDir;
+
+  beforeEach(() => {
+    uploadDir = path.join(upload.dir, 'public');
+    createFile(uploadDir, 'index.html', 'home');
+    createFile(uploadDir, 'css/style.css', 'style');
+  });
+
+  // 按 Bucket 分发到各自的模拟 COS
+  const createBucketsCos = (buckets) => Object.fromEntries(Object.keys(createFakeCos())
+    .filter(name => typeof createFakeCos()[name] === 'function')
+    .map(name => [name, (params, ...rest) => buckets[params.Bucket][name](params, ...rest)]));
+
+  it('各目标继承顶层配置，未配置 targets 时仍需 bucket', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const config = makeConfig();
+    assert.equal(config.bucket, null);
+    assert.deepEqual(config.targets.map(({ target, bucket, region, remotePrefix }) => [target, bucket, region, remotePrefix]), [
+      ['mainland', 'cn-123', 'ap-guangzhou', ''],
+      ['overseas', 'intl-123', 'ap-singapore', 'blog/']
+    ]);
+    assert.equal(config.targets[1].cdnDomains[0].pathPrefix, '/blog/');
+    assert.deepEqual(config.cdnDomains.map(({ domain }) => domain), ['https://example.cn', 'https://example.com']);
+    assert.notEqual(config.targets[0].manifestPath, config.targets[1].manifestPath);
+    assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, bucket: undefined })), null);
+  });
+
+  it('targets 需为非空数组，目标需有 bucket 且名称不重复', (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal(makeConfig({ targets: [] }).targets, undefined);
+    assert.equal(makeConfig({ targets: [{ region: 'ap-guangzhou' }] }).targets, undefined);
+    assert.equal(makeConfig({ targets: [{ bucket: 'a-123' }, { bucket: 'a-123' }] }).targets, undefined);
+    assert.equal(makeConfig({ targets: [{ bucket: 'a-123', remote_dir: '../x' }] }).targets, undefined);
+    assert.equal(makeConfig({ region: undefined, targets: [{ bucket: 'a-123' }] }).targets, undefined);
+  });
+
+  it('本地文件只扫描一次，逐个目标上传后合并刷新', async (t) => {
+    const buckets = { 'cn-123': createFakeCos({ 'css/style.css': 'style' }), 'intl-123': createFakeCos() };
+    const cdn = createFakeApi();
+    const report = _createReport(makeConfig());
+    const readFile = t.mock.method(fs, 'createReadStream');
+    await _main(makeConfig(), { cos: createBucketsCos(buckets), cdn, edgeone: createFakeApi() }, report);
+
+    // 2 个本地文件各计算一次 MD5，另有 3 次上传读取
+    assert.equal(readFile.mock.calls.length, 2 + 3);
+    assert.deepEqual(buckets['cn-123'].calls.filter(([name]) => name === 'putObject').map(([, key]) => key), ['index.html']);
+    assert.deepEqual(buckets['intl-123'].calls.filter(([name]) => name === 'putObject').map(([, key]) => key).sort(), ['blog/css/style.css', 'blog/index.html']);
+    const purges = cdn.calls.filter(([name]) => name === 'PurgeUrlsCache');
+    assert.equal(purges.length, 1);
+    assert.deepEqual(purges[0][1].Urls.sort(), [
+      'https://example.cn/index.html',
+      'https://example.com/blog/css/style.css',
+      'https://example.com/blog/index.html'
+    ]);
+    assert.deepEqual(report.targets.map(({ name, success, uploaded, skipped }) => [name, success, uploaded.length, skipped]), [
+      ['mainland', true, 1, ['css/style.css']],
+      ['overseas', true, 2, []]
+    ]);
+    assert.equal(report.uploaded.length, 3);
+    assert.ok(report.uploaded.every(item => item.target));
+    assert.ok(report.timings.some(({ stage }) => stage === 'overseas:upload:1'));
+  });
+
+  it('任一目标失败时跳过刷新与删除，错误记录目标名', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const buckets = { 'cn-123': createFakeCos({ 'stale.html': 'stale' }), 'intl-123': createFakeCos() };
+    buckets['intl-123'].putObject = async () => { throw new Error('AccessDenied'); };
+    const cdn = createFakeApi();
+    const config = makeConfig({ remove_remote_files: true });
+    const report = _createReport(config);
+    await skipRetryDelay(t, () => _main(config, { cos: createBucketsCos(buckets), cdn, edgeone: createFakeApi() }, report));
+
+    assert.ok(buckets['cn-123'].objects.has('index.html'));
+    assert.ok(buckets['cn-123'].objects.has('stale.html'));
+    assert.equal(cdn.calls.length, 0);
+    assert.deepEqual(report.targets.map(({ success }) => success), [true, false]);
+    assert.ok(report.errors.length > 0);
+    assert.ok(report.errors.every(({ stage, target }) => stage === 'upload' && target === 'overseas'));
+  });
+
+  it('purge_on_partial_failure 时仍刷新成功目标的缓存', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const buckets = { 'cn-123': createFakeCos(), 'intl-123': createFakeCos() };
+    buckets['intl-123'].putObject = async () => { throw new Error('AccessDenied'); };
+    const cdn = createFakeApi();
+    const config = makeConfig({ purge_on_partial_failure: true });
+    await skipRetryDelay(t, () => _main(config, { cos: createBucketsCos(buckets), cdn, edgeone: createFakeApi() }, _createReport(config)));
+
+    const urls = cdn.calls.find(([name]) => name === 'PurgeUrlsCache')[1].Urls;
+    assert.deepEqual(urls.sort(), ['https://example.cn/css/style.css', 'https://example.cn/index.html']);
+  });
+
+  it('各目标分别保存清单，dry-run 按目标列出计划', async (t) => {
+    const buckets = { 'cn-123': createFakeCos(), 'intl-123': createFakeCos() };
+    const clients = { cos: createBucketsCos(buckets), cdn: createFakeApi(), edgeone: createFakeApi() };
+    await _main(makeConfig({ manifest: 'local' }), clients);
+    const manifestDir = path.join(upload.dir, '.deploy_tencent');
+    assert.deepEqual(fs.readdirSync(manifestDir).sort(), ['manifest.mainland.json', 'manifest.overseas.json']);
+
+    createFile(uploadDir, 'about.html', 'about');
+    const info = t.mock.method(console, 'info', () => {});
+    await _main(makeConfig({ manifest: 'local', dry_run: true }), clients);
+    const output = info.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+    assert.match(output, /\[mainland\] 上传（1）:\n  about\.html/);
+    assert.match(output, /\[overseas\] 上传（1）:\n  about\.html/);
+    assert.match(output, /刷新（2）:/);
+  });
+});
+
+// ============================================================
+// D28: 静态网站配置测试
+// ============================================================
+
+describe('website', () => {
+  const WEBSITE = {
+    error_document: '/404.html',
+    error_pages: { 403: '403.html' },
+    routing_rules: [{ condition: { key_prefix: 'docs/' }, redirect: { protocol: 'https', key_prefix: 'documents/' } }],
+    force_https: true
+  };
+
+  const upload = useUploadDir({ website: WEBSITE });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'home');
+  });
+
+  // 模拟存储桶的静态网站配置，puts 记录写入的配置
+  const withWebsite = (cos, current = {}) => Object.assign(cos, {
+    puts: [],
+    getBucketWebsite: async () => ({ WebsiteConfiguration: current }),
+    putBucketWebsite: async (params) => { cos.puts.push(params.WebsiteConfiguration); return {}; }
+  });
+
+  it('将 website 配置转换为 WebsiteConfiguration', () => {
+    assert.deepEqual(makeConfig().website, {
+      IndexDocument: { Suffix: 'index.html' },
+      RedirectAllRequestsTo: { Protocol: 'https' },
+      ErrorDocument: { Key: '404.html', OriginalHttpStatus: 'Disabled' },
+      RoutingRules: [
+        { Condition: { HttpErrorCodeReturnedEquals: '403' }, Redirect: { ReplaceKeyWith: '403.html' } },
+        { Condition: { KeyPrefixEquals: 'docs/' }, Redirect: { Protocol: 'https', ReplaceKeyPrefixWith: 'documents/' } }
+      ]
+    });
+    assert.deepEqual(makeConfig({ website: true }).website, { IndexDocument: { Suffix: 'index.html' } });
+    assert.equal(makeConfig({ website: undefined }).website, null);
+  });
+
+  it('校验错误码与重定向规则', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const invalid = [
+      { error_pages: { 200: 'ok.html' } },
+      { routing_rules: [{ condition: { key_prefix: 'a/', error_code: 404 }, redirect: { key: 'b' } }] },
+      { routing_rules: [{ condition: { key_prefix: 'a/' }, redirect: {} }] },
+      { routing_rules: [{ condition: { key_prefix: 'a/' }, redirect: { key: 'b', key_prefix: 'c/' } }] },
+      { routing_rules: [{ condition: { error_code: 404 }, redirect: { protocol: 'ftp' } }] }
+    ];
+    invalid.forEach(website => assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, website })), null));
+  });
+
+  it('配置不同时调用 putBucketWebsite，相同时跳过', async () => {
+    const cos = withWebsite(createFakeCos(), { IndexDocument: { Suffix: 'index.htm' } });
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    await _main(makeConfig(), clients);
+    assert.deepEqual(cos.puts, [makeConfig().website]);
+
+    // getBucketWebsite 返回的值均为字符串，未设置 OriginalHttpStatus 时视为 Disabled
+    cos.getBucketWebsite = async () => ({
+      WebsiteConfiguration: {
+        IndexDocument: { Suffix: 'index.html' },
+        RedirectAllRequestsTo: { Protocol: 'https' },
+        ErrorDocument: { Key: '404.html' },
+        RoutingRules: makeConfig().website.RoutingRules
+      }
+    });
+    await _main(makeConfig(), clients);
+    assert.equal(cos.puts.length, 1);
+  });
+
+  it('保留未管理的字段，移除不在配置中的重定向规则前给出警告', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const consoleRule = { Condition: { KeyPrefixEquals: 'old/' }, Redirect: { ReplaceKeyPrefixWith: 'new/' } };
+    const cos = withWebsite(createFakeCos(), {
+      IndexDocument: { Suffix: 'index.htm' },
+      AutoAddressing: { Status: 'Enabled' },
+      RoutingRules: [makeConfig().website.RoutingRules[0], consoleRule]
+    });
+    await _main(makeConfig(), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.deepEqual(cos.puts, [{ AutoAddressing: { Status: 'Enabled' }, ...makeConfig().website }]);
+    assert.equal(warn.mock.calls.length, 1);
+    assert.match(warn.mock.calls[0].arguments[0], /1 条重定向规则不在 website 配置中，同步时将被移除:\n  .*"KeyPrefixEquals":"old\/"/);
+  });
+
+  it('dry-run 列出配置差异但不写入', async (t) => {
+    const cos = withWebsite(createFakeCos());
+    const info = t.mock.method(console, 'info', () => {});
+    await _main(makeConfig({ website: { error_document: '404.html' }, dry_run: true }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.equal(cos.puts.length, 0);
+    const output = info.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+    assert.match(output, /静态网站配置变更（3）:/);
+    assert.match(output, /IndexDocument\.Suffix: - → index\.html/);
+    assert.match(output, /ErrorDocument\.Key: - → 404\.html/);
+  });
+
+  it('写入失败记录错误，不影响缓存刷新', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const cos = withWebsite(createFakeCos());
+    cos.putBucketWebsite = async () => { throw new Error('AccessDenied'); };
+    const cdn = createFakeApi();
+    const config = makeConfig();
+    const report = _createReport(config);
+    await skipRetryDelay(t, () => _main(config, { cos, cdn, edgeone: createFakeApi() }, report));
+
+    assert.ok(cdn.calls.some(([name]) => name === 'PurgeUrlsCache'));
+    assert.deepEqual(report.errors.map(({ stage, source }) => [stage, source]), [['deploy', '静态网站']]);
+  });
+});
+
+// ============================================================
+// D29: 重定向测试
+// ============================================================
+
+describe('redirects', () => {
+  const upload = useUploadDir({ refresh_index_page: true });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'posts/new-post/index.html', 'new');
+  });
+
+  const redirectOf = (cos, key) => cos.objects.get(key)?.meta['x-cos-website-redirect-location'];
+
+  it('校验 redirects 映射与 redirects_file', (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal(makeConfig({ redirects: { '/old/': 'posts/new' } }).redirects, undefined);
+    assert.equal(makeConfig({ redirects: ['/old/'] }).redirects, undefined);
+    assert.equal(makeConfig({ redirects: { '/../x': '/y' } }).redirects, undefined);
+    assert.equal(makeConfig({ redirects_file: 1 }).redirects, undefined);
+    assert.equal(makeConfig().redirectsFile, null);
+    assert.equal(makeConfig({ redirects_file: true }).redirectsFile, '_redirects');
+  });
+
+  it('在旧路径创建空的重定向对象，合并 _redirects 文件且配置优先', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    createFile(upload.dir, '_redirects', [
+      '# 旧文章',
+      '/old-post/ /posts/new-post/ 301',
+      '/about.html https://example.org/about',
+      '/broken'
+    ].join('\n'));
+    const cos = createFakeCos();
+    const cdn = createFakeApi();
+    const config = makeConfig({ redirects_file: true, redirects: { '/about.html': '/about/' } });
+    await _main(config, { cos, cdn, edgeone: createFakeApi() });
+
+    assert.ok(!cos.objects.has('_redirects'));
+    assert.equal(cos.objects.get('old-post/index.html').Body.length, 0);
+    assert.equal(redirectOf(cos, 'old-post/index.html'), '/posts/new-post/');
+    assert.equal(redirectOf(cos, 'about.html'), '/about/');
+    assert.match(warn.mock.calls[0].arguments[0], /_redirects 第 4 行无效/);
+    const urls = cdn.calls.find(([name]) => name === 'PurgeUrlsCache')[1].Urls;
+    assert.ok(urls.includes('https://example.com/old-post/'));
+    assert.ok(urls.includes('https://example.com/about.html'));
+  });
+
+  it('_redirects 中的改写、通配符、占位符与条件规则被忽略', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    createFile(upload.dir, '_redirects', [
+      '/* /index.html 200',
+      '/old/:slug /new/:slug 301',
+      '/blog/* /posts/:splat',
+      '/cn/ /zh/ 302 Country=cn',
+      '/legacy/ https://example.org/legacy 404',
+      '/moved/ /posts/new-post/ 308!'
+    ].join('\n'));
+    const cos = createFakeCos();
+    await _main(makeConfig({ redirects_file: true }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    const redirected = Array.from(cos.objects.keys()).filter(key => redirectOf(cos, key));
+    assert.deepEqual(redirected, ['moved/index.html']);
+    const lines = warn.mock.calls.map(call => call.arguments[0]).filter(line => line.includes('不是单个路径的 3xx 重定向'));
+    assert.deepEqual(lines.map(line => line.match(/第 (\d+) 行/)[1]), ['1', '2', '3', '4', '5']);
+  });
+
+  it('未变化的重定向跳过且不被删除，地址变化时重新创建', async () => {
+    const cos = createFakeCos({ 'stale.html': 'stale' });
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    await _main(makeConfig({ remove_remote_files: true, redirects: { '/old-post/': '/posts/new-post/' } }), clients);
+    assert.ok(!cos.objects.has('stale.html'));
+
+    const report = _createReport(makeConfig());
+    await _main(makeConfig({ remove_remote_files: true, redirects: { '/old-post/': '/posts/new-post/' } }), clients, report);
+    assert.deepEqual(report.uploaded, []);
+    assert.deepEqual(report.deleted, []);
+    assert.ok(report.skipped.includes('old-post/index.html'));
+
+    const changed = _createReport(makeConfig());
+    await _main(makeConfig({ redirects: { '/old-post/': 'https://example.org/' } }), clients, changed);
+    assert.deepEqual(changed.uploaded.map(({ key, action, redirect }) => [key, action, redirect]), [['old-post/index.html', 'upload', 'https://example.org/']]);
+    assert.equal(redirectOf(cos, 'old-post/index.html'), 'https://example.org/');
+  });
+
+  it('同名本地文件优先，忽略重定向', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const cos = createFakeCos();
+    await _main(makeConfig({ redirects: { '/posts/new-post/': '/elsewhere/' } }), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.equal(cos.objects.get('posts/new-post/index.html').Body.toString(), 'new');
+    assert.equal(redirectOf(cos, 'posts/new-post/index.html'), undefined);
+    assert.match(warn.mock.calls[0].arguments[0], /忽略指向 \/elsewhere\/ 的重定向/);
+  });
+});
+
+// ============================================================
+// D30: 存储类型与权限规则测试
+// ============================================================
+
+describe('storage_rules', () => {
+  const STORAGE_RULES = [
+    { pattern: 'downloads/**', storage_class: 'STANDARD_IA' },
+    { pattern: 'shared/**', acl: 'public-read', grants: { read: 'id="100000000002"' } }
+  ];
+
+  const upload = useUploadDir({ cdn_domains: [], storage_rules: STORAGE_RULES });
+  const { makeConfig } = upload;
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'home');
+    createFile(upload.dir, 'downloads/app.zip', 'zip');
+    createFile(upload.dir, 'shared/report.pdf', 'pdf');
+  });
+
+  const copied = (cos) => cos.calls.filter(([name]) => name === 'putObjectCopy').map(([, key]) => key).sort();
+  const uploaded = (cos) => cos.calls.filter(([name]) => name === 'putObject').map(([, key]) => key).sort();
+
+  it('校验存储类型、权限与授权', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const invalid = [
+      [{ pattern: '**', storage_class: 'ARCHIVE' }],
+      [{ pattern: '**', acl: 'public-read-write' }],
+      [{ pattern: '**', grants: { write: 'id="1"' } }],
+      [{ pattern: '**' }],
+      [{ storage_class: 'STANDARD_IA' }]
+    ];
+    invalid.forEach(storage_rules => assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, storage_rules })), null));
+  });
+
+  it('上传时按规则写入存储类型与权限头部', async () => {
+    const cos = createFakeCos();
+    await _main(makeConfig(), { cos, cdn: createFakeApi(), edgeone: createFakeApi() });
+
+    assert.equal(cos.objects.get('downloads/app.zip').meta['x-cos-storage-class'], 'STANDARD_IA');
+    assert.equal(cos.objects.get('shared/report.pdf').meta['x-cos-acl'], 'public-read');
+    assert.equal(cos.objects.get('shared/report.pdf').meta['x-cos-grant-read'], 'id="100000000002"');
+    assert.equal(cos.objects.get('index.html').meta['x-cos-storage-class'], undefined);
+  });
+
+  for (const compare_mode of ['head', 'list']) {
+    it(`存储类型或权限被外部修改时复制到自身修正（${compare_mode}）`, async () => {
+      const cos = createFakeCos();
+      const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+      await _main(makeConfig({ compare_mode }), clients);
+      cos.calls.length = 0;
+
+      // 模拟生命周期规则转换存储类型、控制台修改权限
+      delete cos.objects.get('downloads/app.zip').meta['x-cos-storage-class'];
+      cos.objects.get('shared/report.pdf').meta['x-cos-acl'] = 'private';
+      await _main(makeConfig({ compare_mode }), clients);
+
+      assert.deepEqual(uploaded(cos), []);
+      assert.deepEqual(copied(cos), ['downloads/app.zip', 'shared/report.pdf']);
+      assert.equal(cos.objects.get('downloads/app.zip').meta['x-cos-storage-class'], 'STANDARD_IA');
+      assert.equal(cos.objects.get('shared/report.pdf').meta['x-cos-acl'], 'public-read');
+
+      cos.calls.length = 0;
+      await _main(makeConfig({ compare_mode }), clients);
+      assert.deepEqual(copied(cos), []);
+      assert.deepEqual(cos.calls.filter(([name]) => name === 'getObjectAcl').map(([, key]) => key), ['shared/report.pdf']);
+    });
+  }
+
+  it('被授权者按完整 ID 比对并忽略存储桶所有者', async () => {
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    const grants = { read: 'id="100000000002", id="qcs::cam::uin/100000000001:uin/100000000003"', full_control: 'id="100000000001"' };
+    const config = makeConfig({ storage_rules: [{ pattern: 'shared/**', acl: 'private', grants }] });
+    await _main(config, clients);
+
+    cos.calls.length = 0;
+    await _main(config, clients);
+    assert.deepEqual(copied(cos), []);
+    assert.deepEqual(uploaded(cos), []);
+  });
+
+  it('授权对象变化时同样修正，规则变化时不重新上传内容', async () => {
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    await _main(makeConfig(), clients);
+    cos.objects.get('shared/report.pdf').meta['x-cos-grant-read'] = 'id="100000000003"';
+    cos.calls.length = 0;
+    await _main(makeConfig(), clients);
+    assert.deepEqual(copied(cos), ['shared/report.pdf']);
+
+    cos.calls.length = 0;
+    await _main(makeConfig({ storage_rules: [{ pattern: 'downloads/**', storage_class: 'INTELLIGENT_TIERING' }] }), clients);
+    assert.deepEqual(uploaded(cos), []);
+    assert.deepEqual(copied(cos), ['downloads/app.zip', 'shared/report.pdf']);
+    assert.equal(cos.objects.get('downloads/app.zip').meta['x-cos-storage-class'], 'INTELLIGENT_TIERING');
+  });
+});
+
+// ============================================================
+// D31: 上传限速与接口限频测试
+// ============================================================
+
+describe('traffic_limit & rate_limit', () => {
+  const upload = useUploadDir({ cdn_domains: [] });
+
+  beforeEach(() => {
+    createFile(upload.dir, 'index.html', 'home');
+  });
+
+  it('校验取值并换算为 bit/s', (t) => {
+    t.mock.method(console, 'error', () => {});
+    [0.05, 200, '10'].forEach(traffic_limit => assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, traffic_limit })), null));
+    [5, { cos: 0 }, { api: '5' }].forEach(rate_limit => assert.equal(_validateConfig(makeHexo({ ...VALID_CONFIG, rate_limit })), null));
+
+    const config = _validateConfig(makeHexo({ ...VALID_CONFIG, traffic_limit: 2, rate_limit: { cos: 20 } }));
+    assert.equal(config.trafficLimit, 16777216);
+    assert.deepEqual(config.rateLimit, { cos: 20, api: null });
+    assert.equal(_validateConfig(makeHexo(VALID_CONFIG)).trafficLimit, null);
+  });
+
+  it('上传时带上 x-cos-traffic-limit，调整限速不触发重新上传', async () => {
+    const cos = createFakeCos();
+    const clients = { cos, cdn: createFakeApi(), edgeone: createFakeApi() };
+    const makeConfig = (traffic_limit) => upload.makeConfig({ traffic_limit });
+    await _main(makeConfig(1), clients);
+    assert.equal(cos.objects.get('index.html').meta['x-cos-traffic-limit'], '8388608');
+
+    cos.calls.length = 0;
+    await _main(makeConfig(5), clients);
+    assert.deepEqual(cos.calls.filter(([name]) => name === 'putObject'), []);
+  });
+
+  it('限速器按固定间隔放行请求', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const acquire = _createRateLimiter(2);
+    const released = [];
+    [1, 2, 3].forEach(id => acquire().then(() => released.push([id, Date.now()])));
+
+    await new Promise(setImmediate);
+    assert.deepEqual(released, [[1, 0]]);
+    t.mock.timers.tick(500);
+    await new Promise(setImmediate);
+    t.mock.timers.tick(500);
+    await new Promise(setImmediate);
+    assert.deepEqual(released, [[1, 0], [2, 500], [3, 1000]]);
+
+    released.length = 0;
+    await _createRateLimiter(null)();
+  });
+
+  it('只为指定方法限速，兼容回调与 Promise 调用', async () => {
+    const order = [];
+    const client = {
+      name: 'client',
+      headObject(params, callback) { order.push(`head:${this.name}`); callback(null, params.Key); },
+      request: async function (action) { order.push(`request:${this.name}`); return action; },
+      putObject: async () => order.push('put')
+    };
+    const acquire = async () => { order.push('acquire'); };
+    _throttleClient(client, ['headObject', 'request'], acquire);
+
+    const key = await new Promise(resolve => assert.equal(client.headObject({ Key: 'a' }, (err, data) => resolve(data)), undefined));
+    assert.equal(key, 'a');
+    assert.equal(await client.request('PurgeUrlsCache', {}), 'PurgeUrlsCache');
+    await client.putObject();
+    assert.deepEqual(order, ['acquire', 'head:client', 'acquire', 'request:client', 'put']);
+  });
+
+  it('初始化客户端时为元数据请求与云 API 加上限速', () => {
+    const config = _validateConfig(makeHexo({ ...VALID_CONFIG, rate_limit: { cos: 10, api: 5 } }));
+    const clients = _initClients(config, { getCredential: async () => ({}) });
+    ['getBucket', 'headObject', 'getObjectAcl', 'putObjectCopy'].forEach(method => assert.ok(Object.hasOwn(clients.cos, method)));
+    ['putObject', 'sliceUploadFile'].forEach(method => assert.ok(!Object.hasOwn(clients.cos, method)));
+    assert.ok(Object.hasOwn(clients.cdn, 'request'));
+    assert.ok(Object.hasOwn(clients.edgeone, 'request'));
+  });
+});
+
 // ============================================================
 // D6: 路径穿越检查测试
 // ============================================================